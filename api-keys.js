@@ -0,0 +1,289 @@
+/**
+ * API KEY STORE
+ * Bearer keys for /mcp, each with its own scope:
+ *
+ *   {
+ *     "name": "boomer-bot",          // shows up in logs and errors
+ *     "key": "sk_live_...",
+ *     "enabled": true,               // default true
+ *     "tools": ["get_score"],        // default / "*": every tool
+ *     "sports": ["football"],        // default / "*": every sport
+ *     "schools": ["oklahoma"],       // default / "*": every team
+ *     "admin": false,                // may read every key's usage
+ *     "rateLimit": { "requestsPerMinute": 120, "burst": 120 },
+ *     "toolRateLimits": { "get_scoreboard": { "requestsPerMinute": 6 } },
+ *     "dailyQuota": 5000             // tool calls per UTC day
+ *   }
+ *
+ * Limits left out fall back to the defaults in rate-limits.js.
+ *
+ * Sources (all merged, duplicates rejected at startup):
+ *   MCP_API_KEYS_FILE - path to a JSON file: [ ...keys ] or { "keys": [ ...keys ] }
+ *   MCP_API_KEYS      - the same JSON inline
+ *   MCP_API_KEY       - single legacy key with full access, named "default" (admin)
+ *
+ * With no keys configured every /mcp request is rejected.
+ */
+
+import { readFileSync } from "fs";
+import { createHash } from "crypto";
+import { canonicalTeamName, getTeamById } from "./team-directory.js";
+import { getSport } from "./sports.js";
+import { getGameTeams } from "./espn-player.js";
+
+// JSON-RPC error codes for auth failures. -32002 (resource not found) and
+// -32003 (session not found) are taken.
+export const AUTH_ERRORS = {
+  MISSING_KEY: -32001,
+  INVALID_KEY: -32007,
+  KEY_DISABLED: -32004,
+  TOOL_NOT_ALLOWED: -32005,
+  SCOPE_NOT_ALLOWED: -32006,
+};
+
+const keys = new Map(); // sha256(key) -> key record
+
+function hashKey(key) {
+  return createHash("sha256").update(key).digest("hex");
+}
+
+/**
+ * null means "everything"; otherwise a Set of lowercased entries
+ */
+function toScope(list, field, name) {
+  if (list === undefined || list === null || list === "*") return null;
+  if (!Array.isArray(list)) {
+    throw new Error(`API key "${name}": "${field}" must be an array or "*"`);
+  }
+  if (list.includes("*")) return null;
+  return new Set(list.map((entry) => String(entry).trim().toLowerCase()));
+}
+
+/**
+ * Schools compare by canonical team name, so "ou" and "sooners" both
+ * match a key scoped to "oklahoma"
+ */
+function toSchoolScope(list, name) {
+  const scope = toScope(list, "schools", name);
+  return scope && new Set([...scope].map(canonicalTeamName));
+}
+
+/**
+ * { requestsPerMinute, burst } -> bucket config, or undefined for "use default"
+ */
+function toRateLimit(limit, field, name) {
+  if (limit === undefined || limit === null) return undefined;
+
+  const perMinute = Number(limit.requestsPerMinute);
+  const burst = Number(limit.burst ?? perMinute);
+  if (!(perMinute > 0) || !(burst > 0)) {
+    throw new Error(`API key "${name}": "${field}" needs a positive requestsPerMinute`);
+  }
+  return { perMinute, burst };
+}
+
+function toLimits(entry) {
+  const toolRateLimits = {};
+  for (const [tool, limit] of Object.entries(entry.toolRateLimits || {})) {
+    toolRateLimits[tool] = toRateLimit(limit, `toolRateLimits.${tool}`, entry.name);
+  }
+
+  const dailyQuota = entry.dailyQuota ?? undefined;
+  if (dailyQuota !== undefined && !(Number(dailyQuota) >= 0)) {
+    throw new Error(`API key "${entry.name}": "dailyQuota" must be a non-negative number`);
+  }
+
+  return {
+    rateLimit: toRateLimit(entry.rateLimit, "rateLimit", entry.name),
+    toolRateLimits,
+    dailyQuota: dailyQuota === undefined ? undefined : Number(dailyQuota),
+  };
+}
+
+function normalizeKey(entry, source) {
+  if (!entry?.name || !entry?.key) {
+    throw new Error(`API key in ${source} is missing "name" or "key"`);
+  }
+
+  return {
+    name: entry.name,
+    hash: hashKey(entry.key),
+    enabled: entry.enabled !== false,
+    admin: entry.admin === true,
+    tools: toScope(entry.tools, "tools", entry.name),
+    sports: toScope(entry.sports, "sports", entry.name),
+    schools: toSchoolScope(entry.schools, entry.name),
+    limits: toLimits(entry),
+  };
+}
+
+function parseKeyList(json, source) {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${source}: ${err.message}`);
+  }
+
+  const list = Array.isArray(parsed) ? parsed : parsed?.keys;
+  if (!Array.isArray(list)) {
+    throw new Error(`${source} must be an array of keys or { "keys": [...] }`);
+  }
+  return list.map((entry) => normalizeKey(entry, source));
+}
+
+/**
+ * (Re)load keys from the environment. Throws on malformed config so a bad
+ * deploy fails at startup instead of locking everyone out silently.
+ */
+export function loadApiKeys(env = process.env) {
+  const loaded = [];
+
+  if (env.MCP_API_KEYS_FILE) {
+    const json = readFileSync(env.MCP_API_KEYS_FILE, "utf8");
+    loaded.push(...parseKeyList(json, env.MCP_API_KEYS_FILE));
+  }
+
+  if (env.MCP_API_KEYS) {
+    loaded.push(...parseKeyList(env.MCP_API_KEYS, "MCP_API_KEYS"));
+  }
+
+  if (env.MCP_API_KEY) {
+    loaded.push(
+      normalizeKey({ name: "default", key: env.MCP_API_KEY, admin: true }, "MCP_API_KEY")
+    );
+  }
+
+  const names = new Set();
+  keys.clear();
+  for (const record of loaded) {
+    if (keys.has(record.hash)) {
+      throw new Error(`API key "${record.name}" duplicates key "${keys.get(record.hash).name}"`);
+    }
+    if (names.has(record.name)) {
+      throw new Error(`API key name "${record.name}" is used more than once`);
+    }
+    names.add(record.name);
+    keys.set(record.hash, record);
+  }
+
+  return listApiKeys();
+}
+
+/**
+ * Key names and scopes (never the keys themselves)
+ */
+export function listApiKeys() {
+  const scope = (set) => (set ? [...set] : "*");
+  return [...keys.values()].map((record) => ({
+    name: record.name,
+    enabled: record.enabled,
+    admin: record.admin,
+    tools: scope(record.tools),
+    sports: scope(record.sports),
+    schools: scope(record.schools),
+  }));
+}
+
+/**
+ * Full key records (with limits), for usage reporting
+ */
+export function getApiKeyRecords() {
+  return [...keys.values()];
+}
+
+/**
+ * Resolve an Authorization header to a key record.
+ * Returns { key } or { error: { code, message } }.
+ */
+export function authenticate(authHeader) {
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    return {
+      error: {
+        code: AUTH_ERRORS.MISSING_KEY,
+        message:
+          "Missing or invalid authorization header. Use: Authorization: Bearer YOUR_API_KEY",
+      },
+    };
+  }
+
+  const record = keys.get(hashKey(authHeader.substring(7)));
+
+  if (!record) {
+    return {
+      error: { code: AUTH_ERRORS.INVALID_KEY, message: "Invalid API key" },
+    };
+  }
+
+  if (!record.enabled) {
+    return {
+      error: {
+        code: AUTH_ERRORS.KEY_DISABLED,
+        message: `API key "${record.name}" is disabled`,
+      },
+    };
+  }
+
+  return { key: record };
+}
+
+/**
+ * No key (stdio, local use) means no restrictions
+ */
+export function isToolAllowed(key, toolName) {
+  return !key?.tools || key.tools.has(toolName.toLowerCase());
+}
+
+/**
+ * Check a request's sport / team against the key's scope.
+ * Returns null when allowed, or { code, message }.
+ */
+export function checkScope(key, { sport, team } = {}) {
+  if (!key) return null;
+
+  const sportId = sport && (getSport(sport)?.id || String(sport).toLowerCase());
+  if (key.sports && sportId && !key.sports.has(sportId)) {
+    return {
+      code: AUTH_ERRORS.SCOPE_NOT_ALLOWED,
+      message: `API key "${key.name}" is not allowed to access sport "${sport}"`,
+    };
+  }
+
+  if (key.schools && team && !key.schools.has(canonicalTeamName(team))) {
+    return {
+      code: AUTH_ERRORS.SCOPE_NOT_ALLOWED,
+      message: `API key "${key.name}" is not allowed to access team "${team}"`,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Check an event-keyed request (play-by-play, box score, ...) against the
+ * key's schools: one of the teams playing must be in scope. The teams come
+ * from the cached ESPN summary; if they can't be read, the request is
+ * denied. Returns null when allowed, or { code, message }.
+ */
+export async function checkEventScope(key, { eventId, sport } = {}) {
+  if (!key?.schools || !eventId) return null;
+
+  let teams;
+  try {
+    teams = await getGameTeams(eventId, { sport: sport || "football" });
+  } catch (err) {
+    return {
+      code: AUTH_ERRORS.SCOPE_NOT_ALLOWED,
+      message: `API key "${key.name}" is limited to certain schools and the teams in event ${eventId} could not be checked: ${err.message}`,
+    };
+  }
+
+  const playing = (team) => getTeamById(team.id)?.slug || canonicalTeamName(team.name);
+  if (teams.some((team) => key.schools.has(playing(team)))) return null;
+
+  const names = teams.map((team) => team.name).join(" vs ");
+  return {
+    code: AUTH_ERRORS.SCOPE_NOT_ALLOWED,
+    message: `API key "${key.name}" is not allowed to access event ${eventId}${names ? ` (${names})` : ""}`,
+  };
+}
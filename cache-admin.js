@@ -0,0 +1,121 @@
+/**
+ * CACHE ADMIN
+ * What's behind the /admin/cache routes (admin API keys only): inspect
+ * entries, drop just the ones that are wrong, and warm the ones we need.
+ *
+ *   getCacheSummary()     backend stats + entries / stale / bytes per namespace
+ *   invalidate(criteria)  { namespace, prefix, team, sport, eventId } - every
+ *                         given criterion must match
+ *   warm(uris)            read resources (espn://...) so they land in the cache
+ */
+
+import { getCacheStats, invalidateCache, listCacheEntries } from "./cache.js";
+import { resolveResource } from "./resources.js";
+import { lookupTeam, normalizeTeamQuery } from "./team-directory.js";
+
+/**
+ * getCacheStats() with entry counts and sizes merged into each namespace
+ */
+export async function getCacheSummary() {
+  const stats = getCacheStats();
+  const namespaces = { ...stats.namespaces };
+
+  for (const entry of await listCacheEntries()) {
+    const summary = (namespaces[entry.namespace] = {
+      entries: 0,
+      stale: 0,
+      bytes: 0,
+      ...namespaces[entry.namespace],
+    });
+    summary.entries++;
+    summary.bytes += entry.bytes;
+    if (entry.stale) summary.stale++;
+  }
+
+  return { ...stats, namespaces };
+}
+
+/**
+ * ESPN keys carry the team ID (current_game_201_football), CFBD keys the
+ * team name (recruiting_oklahoma_2025, oklahoma_2025)
+ */
+function teamMatcher(team, record, sport) {
+  const names = [normalizeTeamQuery(team), record.cfbdName.toLowerCase()];
+  const espnPrefixes = [`current_game_${record.id}_${sport || ""}`, `schedule_${record.id}_${sport || ""}`];
+
+  return (key) => {
+    if (espnPrefixes.some((prefix) => key.startsWith(prefix))) return true;
+    const lower = key.toLowerCase();
+    return names.some((name) => lower.startsWith(`${name}_`) || lower.includes(`_${name}_`));
+  };
+}
+
+/**
+ * The event's ESPN summary (box score, play-by-play and game summary are
+ * all read from summary_<sport>_<eventId>) plus any game, schedule or
+ * scoreboard that lists it
+ */
+function eventMatcher(eventId) {
+  const id = String(eventId);
+
+  return (key, value) =>
+    (key.startsWith("summary_") && key.endsWith(`_${id}`)) ||
+    String(value?.eventId) === id ||
+    String(value?.game?.id) === id ||
+    (Array.isArray(value?.games) && value.games.some((game) => String(game.id) === id));
+}
+
+/**
+ * Delete matching entries. Returns { removed: ["namespace:key", ...] }, or
+ * an { error, message, suggestions? } result when no criterion was given or
+ * the team is unknown or ambiguous.
+ */
+export async function invalidate({ namespace, prefix, team, sport, eventId } = {}) {
+  if (!namespace && !prefix && !team && !eventId) {
+    return {
+      error: true,
+      message: 'Give at least one of "namespace", "prefix", "team" or "eventId" (POST /clear-cache clears everything)',
+    };
+  }
+
+  const matchers = [];
+  if (team) {
+    const lookup = lookupTeam(team);
+    if (lookup.error) return lookup;
+    matchers.push(teamMatcher(team, lookup.team, sport));
+  }
+  if (eventId) matchers.push(eventMatcher(eventId));
+
+  const removed = await invalidateCache({
+    namespace,
+    prefix: prefix || "",
+    match: (key, value) => matchers.every((matches) => matches(key, value)),
+  });
+
+  return { removed };
+}
+
+/**
+ * Read each resource URI once, one at a time, so it is cached for the next
+ * caller. A fresh entry is left as-is: invalidate first to force a refetch.
+ */
+export async function warm(uris) {
+  if (!Array.isArray(uris) || uris.length === 0) {
+    return {
+      error: true,
+      message: '"uris" must be a non-empty array of resource URIs (e.g. "espn://rankings/football/ap")',
+    };
+  }
+
+  const results = [];
+  for (const uri of uris) {
+    try {
+      const data = await resolveResource(uri);
+      results.push({ uri, ok: true, stale: Boolean(data?.stale) });
+    } catch (err) {
+      results.push({ uri, ok: false, error: err.message });
+    }
+  }
+
+  return { results };
+}
@@ -0,0 +1,538 @@
+/**
+ * CACHE LAYER
+ * One cache for every data source: namespaced keys, a TTL per entry,
+ * LRU eviction, hit/miss counters and a pluggable backend.
+ *
+ *   const cache = createCache("espn");
+ *   const cached = await cache.get(key);          // null on miss / expiry
+ *   await cache.set(key, value, 5 * 60 * 1000);   // TTL in ms
+ *
+ *   // read-through with stale-while-revalidate / stale-if-error
+ *   const result = await cache.wrap(key, async () => ({ value, ttl }));
+ *
+ * Backends (CACHE_BACKEND):
+ *   memory  - in-process LRU (default)
+ *   file    - memory LRU persisted to CACHE_FILE (default .cache/cache.json),
+ *             reloaded on startup
+ *   redis   - any Redis-compatible server at REDIS_URL (needs the "redis"
+ *             package; falls back to memory if it can't load). LRU is left
+ *             to the server's maxmemory-policy.
+ *
+ * CACHE_MAX_ENTRIES caps the memory / file backends (default 1000).
+ *
+ * Expired entries are kept for CACHE_STALE_IF_ERROR_MS (default 24h) so
+ * wrap() can fall back to the last good value when the upstream fails.
+ * Answers like "no game this week" are not failures: they are cached for
+ * CACHE_NEGATIVE_TTL_MS (default 60s) and never replaced by stale data.
+ * For CACHE_SWR_WINDOW_MS past expiry (default 30s, at most the entry's own
+ * TTL) wrap() answers from the expired entry at once and refreshes it in the
+ * background.
+ */
+
+import { readFileSync, mkdirSync } from "fs";
+import { writeFile, rename } from "fs/promises";
+import { dirname } from "path";
+
+const MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES) || 1000;
+const FILE_FLUSH_DELAY = 1000; // batch writes to the cache file
+const REDIS_PREFIX = "espn-mcp:";
+const REDIS_CONNECT_TIMEOUT = 5000;
+const SWR_WINDOW = Number(process.env.CACHE_SWR_WINDOW_MS ?? 30 * 1000);
+const STALE_IF_ERROR = Number(process.env.CACHE_STALE_IF_ERROR_MS ?? 24 * 60 * 60 * 1000);
+const NEGATIVE_TTL = Number(process.env.CACHE_NEGATIVE_TTL_MS ?? 60 * 1000);
+
+const namespaces = new Map(); // name -> { stats }
+const refreshing = new Map(); // "namespace:key" -> Promise (one loader per key)
+
+// ── BACKENDS ──────────────────────────────────────────────────────────────────
+//
+// Every backend stores entries { value, storedAt, expiresAt, staleUntil }
+// under "namespace:key" and implements async get / set / delete /
+// clear(prefix) / keys(prefix) / list(prefix). Backends keep an entry
+// until staleUntil;
+// deciding whether it is still fresh is up to the namespaced cache.
+
+function isExpired(entry) {
+  return entry.expiresAt <= Date.now();
+}
+
+function isDiscardable(entry) {
+  return (entry.staleUntil ?? entry.expiresAt) <= Date.now();
+}
+
+function createMemoryBackend({ maxEntries = MAX_ENTRIES, onChange = () => {} } = {}) {
+  const entries = new Map(); // insertion order = LRU order
+  let evictions = 0;
+
+  return {
+    name: "memory",
+    entries,
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      if (isDiscardable(entry)) {
+        entries.delete(key);
+        onChange();
+        return null;
+      }
+
+      // Most recently used goes to the back
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+        evictions++;
+      }
+      onChange();
+    },
+
+    async delete(key) {
+      if (entries.delete(key)) onChange();
+    },
+
+    async clear(prefix = "") {
+      for (const key of [...entries.keys()]) {
+        if (key.startsWith(prefix)) entries.delete(key);
+      }
+      onChange();
+    },
+
+    async keys(prefix = "") {
+      return [...entries]
+        .filter(([key, entry]) => key.startsWith(prefix) && !isDiscardable(entry))
+        .map(([key]) => key);
+    },
+
+    // [key, entry] pairs, without touching LRU order
+    async list(prefix = "") {
+      return [...entries].filter(
+        ([key, entry]) => key.startsWith(prefix) && !isDiscardable(entry)
+      );
+    },
+
+    stats() {
+      return { entries: entries.size, maxEntries, evictions };
+    },
+  };
+}
+
+function createFileBackend(file = process.env.CACHE_FILE || ".cache/cache.json") {
+  let flushTimer = null;
+
+  const flush = async () => {
+    flushTimer = null;
+    const live = [...memory.entries].filter(([, entry]) => !isDiscardable(entry));
+    const tmp = `${file}.tmp`;
+
+    try {
+      await writeFile(tmp, JSON.stringify(live));
+      await rename(tmp, file);
+    } catch (err) {
+      console.error(`[Cache] Failed to write ${file}: ${err.message}`);
+    }
+  };
+
+  const memory = createMemoryBackend({
+    onChange: () => {
+      if (flushTimer) return;
+      flushTimer = setTimeout(flush, FILE_FLUSH_DELAY);
+      flushTimer.unref?.();
+    },
+  });
+
+  mkdirSync(dirname(file), { recursive: true });
+  try {
+    const saved = JSON.parse(readFileSync(file, "utf8"));
+    for (const [key, entry] of saved) {
+      if (!isDiscardable(entry)) memory.entries.set(key, entry);
+    }
+    console.log(`[Cache] Loaded ${memory.entries.size} entries from ${file}`);
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error(`[Cache] Ignoring unreadable cache file ${file}: ${err.message}`);
+    }
+  }
+
+  return { ...memory, name: "file", file };
+}
+
+function createRedisBackend(url = process.env.REDIS_URL || "redis://localhost:6379") {
+  let fallback = null;
+
+  // Connect at startup; the redis package is optional
+  const client = import("redis")
+    .then(async ({ createClient }) => {
+      const redis = createClient({ url });
+      redis.on("error", (err) => console.error(`[Cache] Redis error: ${err.message}`));
+
+      let timer;
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(
+          () => reject(new Error(`no connection after ${REDIS_CONNECT_TIMEOUT}ms`)),
+          REDIS_CONNECT_TIMEOUT
+        );
+      });
+
+      try {
+        await Promise.race([redis.connect(), timeout]);
+      } catch (err) {
+        redis.disconnect().catch(() => {});
+        throw err;
+      } finally {
+        clearTimeout(timer);
+      }
+
+      console.log(`[Cache] Connected to Redis at ${url}`);
+      return redis;
+    })
+    .catch((err) => {
+      console.error(`[Cache] Redis unavailable (${err.message}) — using memory cache`);
+      fallback = createMemoryBackend();
+      return null;
+    });
+
+  // A Redis hiccup must not fail the tool call: treat it as a miss / no-op
+  const safely = async (operation, fallbackResult) => {
+    try {
+      return await operation();
+    } catch (err) {
+      console.error(`[Cache] Redis command failed: ${err.message}`);
+      return fallbackResult;
+    }
+  };
+
+  const scanKeys = async (redis, prefix) => {
+    const found = [];
+    for await (const key of redis.scanIterator({ MATCH: `${REDIS_PREFIX}${prefix}*` })) {
+      found.push(...[].concat(key));
+    }
+    return found;
+  };
+
+  return {
+    name: "redis",
+
+    async get(key) {
+      const redis = await client;
+      if (!redis) return fallback.get(key);
+
+      const raw = await safely(() => redis.get(REDIS_PREFIX + key), null);
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async set(key, entry) {
+      const redis = await client;
+      if (!redis) return fallback.set(key, entry);
+
+      const ttl = Math.max(1, (entry.staleUntil ?? entry.expiresAt) - Date.now());
+      await safely(() => redis.set(REDIS_PREFIX + key, JSON.stringify(entry), { PX: ttl }));
+    },
+
+    async delete(key) {
+      const redis = await client;
+      if (!redis) return fallback.delete(key);
+
+      await safely(() => redis.del(REDIS_PREFIX + key));
+    },
+
+    async clear(prefix = "") {
+      const redis = await client;
+      if (!redis) return fallback.clear(prefix);
+
+      const keys = await safely(() => scanKeys(redis, prefix), []);
+      if (keys.length > 0) await safely(() => redis.del(keys));
+    },
+
+    async keys(prefix = "") {
+      const redis = await client;
+      if (!redis) return fallback.keys(prefix);
+
+      const keys = await safely(() => scanKeys(redis, prefix), []);
+      return keys.map((key) => key.slice(REDIS_PREFIX.length));
+    },
+
+    async list(prefix = "") {
+      const redis = await client;
+      if (!redis) return fallback.list(prefix);
+
+      const keys = await safely(() => scanKeys(redis, prefix), []);
+      if (keys.length === 0) return [];
+
+      const values = await safely(() => redis.mGet(keys), []);
+      return keys
+        .map((key, i) => [key.slice(REDIS_PREFIX.length), values[i] ? JSON.parse(values[i]) : null])
+        .filter(([, entry]) => entry);
+    },
+
+    stats() {
+      return fallback ? { ...fallback.stats(), fallback: "memory" } : { host: new URL(url).host };
+    },
+  };
+}
+
+function createBackend(type = process.env.CACHE_BACKEND || "memory") {
+  switch (type) {
+    case "memory":
+      return createMemoryBackend();
+    case "file":
+      return createFileBackend();
+    case "redis":
+      return createRedisBackend();
+    default:
+      console.error(`[Cache] Unknown CACHE_BACKEND "${type}" — using memory`);
+      return createMemoryBackend();
+  }
+}
+
+const backend = createBackend();
+
+// ── STALE ENTRIES ─────────────────────────────────────────────────────────────
+
+/**
+ * How long past expiry an entry may be served while it refreshes
+ */
+function revalidateWindow(entry) {
+  return Math.min(SWR_WINDOW, entry.expiresAt - entry.storedAt);
+}
+
+/**
+ * A loader's failure: it threw, or returned an error result flagged
+ * `upstream` (the API modules' catch blocks). Other error results are answers.
+ */
+function isUpstreamFailure(outcome) {
+  return outcome instanceof Error || Boolean(outcome?.upstream);
+}
+
+/**
+ * Last good value, flagged so callers can tell the user it is out of date
+ */
+function markStale(entry, reason) {
+  const { value } = entry;
+  if (!value || typeof value !== "object" || Array.isArray(value)) return value;
+
+  return {
+    ...value,
+    stale: {
+      cachedAt: new Date(entry.storedAt).toISOString(),
+      expiredAt: new Date(entry.expiresAt).toISOString(),
+      reason,
+    },
+  };
+}
+
+// ── NAMESPACED CACHES ─────────────────────────────────────────────────────────
+
+/**
+ * Get the cache for a namespace (e.g. "espn", "ncaa", "cfbd").
+ * Calling twice with the same name returns a handle on the same entries.
+ */
+export function createCache(namespace) {
+  if (!namespaces.has(namespace)) {
+    namespaces.set(namespace, {
+      stats: { hits: 0, misses: 0, sets: 0, revalidations: 0, staleServed: 0 },
+    });
+  }
+  const { stats } = namespaces.get(namespace);
+  const prefix = `${namespace}:`;
+
+  const hit = (key, entry) => {
+    stats.hits++;
+    const age = Math.floor((Date.now() - entry.storedAt) / 1000);
+    console.log(`Cache hit: ${prefix}${key} (age: ${age}s)`);
+    return entry.value;
+  };
+
+  const set = async (key, value, ttl, { staleIfError = STALE_IF_ERROR } = {}) => {
+    const now = Date.now();
+    stats.sets++;
+    await backend.set(prefix + key, {
+      value,
+      storedAt: now,
+      expiresAt: now + ttl,
+      staleUntil: now + ttl + staleIfError,
+    });
+  };
+
+  /**
+   * Run the loader once per key at a time. On an upstream failure fall back
+   * to the last good entry (flagged stale); with none, pass the failure
+   * through. Error results that are answers are cached briefly, as they are.
+   */
+  const refresh = (key, loader, previous) => {
+    const fullKey = prefix + key;
+    if (refreshing.has(fullKey)) return refreshing.get(fullKey);
+
+    const request = (async () => {
+      let failure;
+      try {
+        const outcome = await loader();
+        if (!outcome?.error) {
+          await set(key, outcome.value, outcome.ttl);
+          return outcome.value;
+        }
+        if (!isUpstreamFailure(outcome)) {
+          if (NEGATIVE_TTL > 0) await set(key, outcome, NEGATIVE_TTL, { staleIfError: 0 });
+          return outcome;
+        }
+        failure = outcome;
+      } catch (err) {
+        failure = err;
+      }
+
+      // A cached "no games" answer is no fallback for live data
+      if (!previous || previous.value?.error) {
+        if (failure instanceof Error) throw failure;
+        return failure;
+      }
+
+      stats.staleServed++;
+      const age = Math.floor((Date.now() - previous.storedAt) / 1000);
+      console.warn(`[Cache] Serving stale ${fullKey} (age: ${age}s): ${failure.message}`);
+      return markStale(previous, failure.message);
+    })().finally(() => refreshing.delete(fullKey));
+
+    refreshing.set(fullKey, request);
+    return request;
+  };
+
+  return {
+    namespace,
+
+    /**
+     * Cached value, or null on miss / expiry
+     */
+    async get(key) {
+      const entry = await backend.get(prefix + key);
+      if (!entry || isExpired(entry)) {
+        stats.misses++;
+        return null;
+      }
+      return hit(key, entry);
+    },
+
+    set,
+
+    /**
+     * Read-through get. `loader` resolves to { value, ttl } to cache, to an
+     * { error: true, message } answer ("no games found"), or to an
+     * { error: true, upstream: true, message } result (or throws) when the
+     * upstream failed.
+     *
+     *   fresh entry             -> cached value
+     *   expired < swr window    -> cached value; loader runs in the background
+     *   expired / missing       -> loader result; if the upstream failed, the
+     *                              last good value with a `stale` field, else
+     *                              the failure
+     *
+     * Concurrent callers for the same key share one loader run.
+     */
+    async wrap(key, loader) {
+      const entry = await backend.get(prefix + key);
+      if (entry && !isExpired(entry)) return hit(key, entry);
+
+      if (entry && Date.now() < entry.expiresAt + revalidateWindow(entry)) {
+        stats.revalidations++;
+        console.log(`Cache revalidate: ${prefix}${key} (serving expired entry meanwhile)`);
+        refresh(key, loader, entry).catch(() => {});
+        return entry.value;
+      }
+
+      stats.misses++;
+      return refresh(key, loader, entry);
+    },
+
+    async delete(key) {
+      await backend.delete(prefix + key);
+    },
+
+    async clear() {
+      await backend.clear(prefix);
+      console.log(`[Cache] ${namespace} cleared`);
+    },
+  };
+}
+
+/**
+ * Clear every namespace (POST /clear-cache)
+ */
+export async function clearAllCaches() {
+  await backend.clear();
+  console.log("[Cache] All namespaces cleared");
+  return [...namespaces.keys()];
+}
+
+/**
+ * Entries for the admin API: age, remaining TTL and size, without the values.
+ * Filter by namespace and / or key prefix (within the namespace).
+ */
+export async function listCacheEntries({ namespace, prefix = "" } = {}) {
+  const now = Date.now();
+  const entries = await backend.list(namespace ? `${namespace}:${prefix}` : "");
+
+  return entries
+    .map(([fullKey, entry]) => {
+      const split = fullKey.indexOf(":");
+      return {
+        namespace: fullKey.slice(0, split),
+        key: fullKey.slice(split + 1),
+        ageSeconds: Math.floor((now - entry.storedAt) / 1000),
+        ttlSeconds: Math.max(0, Math.ceil((entry.expiresAt - now) / 1000)),
+        expiresAt: new Date(entry.expiresAt).toISOString(),
+        stale: isExpired(entry),
+        bytes: Buffer.byteLength(JSON.stringify(entry.value)),
+      };
+    })
+    .filter((entry) => entry.key.startsWith(prefix));
+}
+
+/**
+ * Delete entries by namespace, key prefix and / or a match(key, value)
+ * predicate. Returns the deleted "namespace:key"s.
+ */
+export async function invalidateCache({ namespace, prefix = "", match } = {}) {
+  const entries = await backend.list(namespace ? `${namespace}:${prefix}` : "");
+  const removed = [];
+
+  for (const [fullKey, entry] of entries) {
+    const key = fullKey.slice(fullKey.indexOf(":") + 1);
+    if (!key.startsWith(prefix)) continue;
+    if (match && !match(key, entry.value)) continue;
+
+    await backend.delete(fullKey);
+    removed.push(fullKey);
+  }
+
+  if (removed.length > 0) {
+    console.log(`[Cache] Invalidated ${removed.length} entries`);
+  }
+  return removed;
+}
+
+/**
+ * Backend info plus hit / miss counters per namespace, for /health
+ */
+export function getCacheStats() {
+  const perNamespace = {};
+  for (const [name, { stats }] of namespaces) {
+    const lookups = stats.hits + stats.misses;
+    perNamespace[name] = {
+      ...stats,
+      hitRate: lookups > 0 ? Number((stats.hits / lookups).toFixed(3)) : null,
+    };
+  }
+
+  return {
+    backend: backend.name,
+    ...backend.stats(),
+    namespaces: perNamespace,
+  };
+}
@@ -4,7 +4,9 @@
  * Requires free API key from collegefootballdata.com
  */
 
-import fetch from 'node-fetch';
+import { fetchJson, UpstreamHttpError } from './upstream.js';
+import { createCache } from './cache.js';
+import { cfbdTeamName } from './team-directory.js';
 
 const CFBD_BASE_URL = 'https://api.collegefootballdata.com';
 const API_KEY = process.env.CFBD_API_KEY || '';
@@ -19,7 +21,7 @@ const CACHE_DURATION = {
   RECORDS: 24 * 60 * 60 * 1000       // 24 hours
 };
 
-const cache = new Map();
+const cache = createCache('cfbd');
 
 /**
  * Fetch from CFBD API with authentication
@@ -30,119 +32,41 @@ async function fetchCFBD(endpoint, params = {}) {
     throw new Error('CFBD_API_KEY environment variable not set. Get free key at https://collegefootballdata.com');
   }
   
-  const queryString = new URLSearchParams(params).toString();
-  const url = `${CFBD_BASE_URL}${endpoint}${queryString ? '?' + queryString : ''}`;
+  const url = `${CFBD_BASE_URL}${endpoint}`;
   
-  console.log(`Fetching CFBD: ${url}`);
+  console.log(`Fetching CFBD: ${url}`, params);
   
   try {
-    const response = await fetch(url, {
+    const data = await fetchJson(url, {
+      label: 'CFBD',
+      query: params,
       headers: {
-        'Authorization': `Bearer ${API_KEY}`,
-        'Accept': 'application/json'
+        'Authorization': `Bearer ${API_KEY}`
       }
     });
-    
-    console.log(`CFBD Response Status: ${response.status} ${response.statusText}`);
-    
-    if (!response.ok) {
-      if (response.status === 401) {
-        console.error('CFBD API key is invalid or expired');
-        throw new Error('CFBD API key invalid. Check your CFBD_API_KEY environment variable.');
-      }
-      console.error(`CFBD API returned error: ${response.status}`);
-      throw new Error(`CFBD API error: ${response.status} ${response.statusText}`);
-    }
-    
-    const data = await response.json();
     console.log(`CFBD Data received, length: ${Array.isArray(data) ? data.length : 'N/A'}`);
     
     return data;
     
   } catch (error) {
-    console.error('CFBD fetch error:', error);
+    if (error instanceof UpstreamHttpError && error.status === 401) {
+      console.error('CFBD API key is invalid or expired');
+      throw new Error('CFBD API key invalid. Check your CFBD_API_KEY environment variable.');
+    }
+    console.error('CFBD fetch error:', error.message);
     throw error;
   }
 }
 
-/**
- * Cache helpers
- */
-function getCached(key, maxAge) {
-  const cached = cache.get(key);
-  if (!cached) return null;
-  
-  const age = Date.now() - cached.timestamp;
-  if (age > maxAge) {
-    cache.delete(key);
-    return null;
-  }
-  
-  console.log(`Cache hit: ${key}`);
-  return cached.data;
-}
-
-function setCache(key, data) {
-  cache.set(key, {
-    data,
-    timestamp: Date.now()
-  });
-}
-
-/**
- * Normalize team name for CFBD (they use full names with proper capitalization)
- */
-function normalizeTeamName(teamName) {
-  const normalized = teamName.toLowerCase().trim();
-  
-  const teamNameMap = {
-    'oklahoma': 'Oklahoma',
-    'ou': 'Oklahoma',
-    'sooners': 'Oklahoma',
-    'texas': 'Texas',
-    'ut': 'Texas',
-    'longhorns': 'Texas',
-    'oklahoma state': 'Oklahoma State',
-    'osu': 'Oklahoma State',
-    'alabama': 'Alabama',
-    'bama': 'Alabama',
-    'georgia': 'Georgia',
-    'uga': 'Georgia',
-    'ohio state': 'Ohio State',
-    'michigan': 'Michigan',
-    'clemson': 'Clemson',
-    'lsu': 'LSU',
-    'florida': 'Florida',
-    'texas a&m': 'Texas A&M',
-    'tamu': 'Texas A&M',
-    'auburn': 'Auburn',
-    'penn state': 'Penn State',
-    'notre dame': 'Notre Dame',
-    'usc': 'USC',
-    'oregon': 'Oregon',
-    'wisconsin': 'Wisconsin',
-    'miami': 'Miami',
-    'florida state': 'Florida State',
-    'fsu': 'Florida State',
-    'tennessee': 'Tennessee',
-    'nebraska': 'Nebraska',
-    'baylor': 'Baylor',
-    'tcu': 'TCU',
-    'texas tech': 'Texas Tech'
-  };
-  
-  return teamNameMap[normalized] || teamName;
-}
-
 /**
  * Get recruiting rankings
  */
 export async function getRecruiting(teamName, year = null) {
-  const team = normalizeTeamName(teamName);
+  const team = cfbdTeamName(teamName);
   const currentYear = year || new Date().getFullYear();
   
   const cacheKey = `recruiting_${team}_${currentYear}`;
-  const cached = getCached(cacheKey, CACHE_DURATION.RECRUITING);
+  const cached = await cache.get(cacheKey);
   if (cached) return cached;
   
   try {
@@ -168,7 +92,7 @@ export async function getRecruiting(teamName, year = null) {
       average: teamData.average
     };
     
-    setCache(cacheKey, result);
+    await cache.set(cacheKey, result, CACHE_DURATION.RECRUITING);
     return result;
     
   } catch (error) {
@@ -183,11 +107,11 @@ export async function getRecruiting(teamName, year = null) {
  * Get team talent composite
  */
 export async function getTeamTalent(teamName, year = null) {
-  const team = normalizeTeamName(teamName);
+  const team = cfbdTeamName(teamName);
   const currentYear = year || new Date().getFullYear();
   
   const cacheKey = `talent_${team}_${currentYear}`;
-  const cached = getCached(cacheKey, CACHE_DURATION.TALENT);
+  const cached = await cache.get(cacheKey);
   if (cached) return cached;
   
   try {
@@ -217,7 +141,7 @@ export async function getTeamTalent(teamName, year = null) {
       talent: teamData.talent
     };
     
-    setCache(cacheKey, result);
+    await cache.set(cacheKey, result, CACHE_DURATION.TALENT);
     return result;
     
   } catch (error) {
@@ -232,11 +156,11 @@ export async function getTeamTalent(teamName, year = null) {
  * Get advanced team statistics
  */
 export async function getAdvancedStats(teamName, year = null, statType = 'both') {
-  const team = normalizeTeamName(teamName);
+  const team = cfbdTeamName(teamName);
   const currentYear = year || new Date().getFullYear();
   
   const cacheKey = `stats_${team}_${currentYear}_${statType}`;
-  const cached = getCached(cacheKey, CACHE_DURATION.STATS);
+  const cached = await cache.get(cacheKey);
   if (cached) return cached;
   
   try {
@@ -287,7 +211,7 @@ export async function getAdvancedStats(teamName, year = null, statType = 'both')
       };
     }
     
-    setCache(cacheKey, result);
+    await cache.set(cacheKey, result, CACHE_DURATION.STATS);
     return result;
     
   } catch (error) {
@@ -302,7 +226,7 @@ export async function getAdvancedStats(teamName, year = null, statType = 'both')
  * Get betting lines
  */
 export async function getBettingLines(teamName, week = null) {
-  const team = normalizeTeamName(teamName);
+  const team = cfbdTeamName(teamName);
   const currentYear = new Date().getFullYear();
   
   const params = {
@@ -351,11 +275,11 @@ export async function getBettingLines(teamName, week = null) {
  * Get SP+ ratings
  */
 export async function getSPRatings(teamName, year = null) {
-  const team = normalizeTeamName(teamName);
+  const team = cfbdTeamName(teamName);
   const currentYear = year || new Date().getFullYear();
   
   const cacheKey = `ratings_${team}_${currentYear}`;
-  const cached = getCached(cacheKey, CACHE_DURATION.RATINGS);
+  const cached = await cache.get(cacheKey);
   if (cached) return cached;
   
   try {
@@ -382,7 +306,7 @@ export async function getSPRatings(teamName, year = null) {
       specialTeams: teamData.specialTeams
     };
     
-    setCache(cacheKey, result);
+    await cache.set(cacheKey, result, CACHE_DURATION.RATINGS);
     return result;
     
   } catch (error) {
@@ -397,11 +321,11 @@ export async function getSPRatings(teamName, year = null) {
  * Get team records
  */
 export async function getTeamRecords(teamName, year = null) {
-  const team = normalizeTeamName(teamName);
+  const team = cfbdTeamName(teamName);
   const currentYear = year || new Date().getFullYear();
   
   const cacheKey = `records_${team}_${currentYear}`;
-  const cached = getCached(cacheKey, CACHE_DURATION.RECORDS);
+  const cached = await cache.get(cacheKey);
   if (cached) return cached;
   
   try {
@@ -443,7 +367,7 @@ export async function getTeamRecords(teamName, year = null) {
       }
     };
     
-    setCache(cacheKey, result);
+    await cache.set(cacheKey, result, CACHE_DURATION.RECORDS);
     return result;
     
   } catch (error) {
@@ -458,13 +382,13 @@ export async function getTeamRecords(teamName, year = null) {
  * Get player statistics (season totals)
  */
 export async function getPlayerStats(teamName, year = null, category = null) {
-  const team = normalizeTeamName(teamName);
+  const team = cfbdTeamName(teamName);
   const currentYear = year || new Date().getFullYear();
   
   console.log(`getPlayerStats called: team=${team}, year=${currentYear}, category=${category}`);
   
   const cacheKey = `player_stats_${team}_${currentYear}_${category || 'all'}`;
-  const cached = getCached(cacheKey, CACHE_DURATION.STATS);
+  const cached = await cache.get(cacheKey);
   if (cached) return cached;
   
   try {
@@ -494,7 +418,7 @@ export async function getPlayerStats(teamName, year = null, category = null) {
       players: data
     };
     
-    setCache(cacheKey, result);
+    await cache.set(cacheKey, result, CACHE_DURATION.STATS);
     return result;
     
   } catch (error) {
@@ -509,7 +433,6 @@ export async function getPlayerStats(teamName, year = null, category = null) {
 /**
  * Clear CFBD cache
  */
-export function clearCache() {
-  cache.clear();
-  console.log('CFBD cache cleared');
+export async function clearCache() {
+  await cache.clear();
 }
@@ -4,207 +4,95 @@
  * No API key required - public endpoints
  */
 
-import fetch from 'node-fetch';
+import { fetchJson } from './upstream.js';
+import { createCache } from './cache.js';
+import { adaptiveTtl, eventTiming, GAME_STATE_TTL } from './game-state.js';
+import { lookupTeam } from './team-directory.js';
+import { lookupSport } from './sports.js';
 
 const ESPN_BASE_URL = 'https://site.api.espn.com/apis/site/v2/sports';
 
-// Team name to ESPN ID mapping for major college teams
-const TEAM_MAP = {
-  // Big 12
-  'oklahoma': '201',
-  'ou': '201',
-  'sooners': '201',
-  'texas': '251',
-  'ut': '251',
-  'longhorns': '251',
-  'oklahoma state': '197',
-  'osu': '197',
-  'cowboys': '197',
-  'baylor': '239',
-  'tcu': '2628',
-  'texas tech': '2641',
-  'kansas': '2305',
-  'kansas state': '2306',
-  'iowa state': '66',
-  'west virginia': '277',
-  
-  // SEC
-  'alabama': '333',
-  'bama': '333',
-  'georgia': '61',
-  'uga': '61',
-  'lsu': '99',
-  'florida': '57',
-  'tennessee': '2633',
-  'auburn': '2',
-  'texas a&m': '245',
-  'tamu': '245',
-  'arkansas': '8',
-  'missouri': '142',
-  'kentucky': '96',
-  'mississippi state': '344',
-  'ole miss': '145',
-  'south carolina': '2579',
-  'vanderbilt': '238',
-  
-  // Big Ten
-  'ohio state': '194',
-  'osu': '194',
-  'michigan': '130',
-  'penn state': '213',
-  'wisconsin': '275',
-  'iowa': '2294',
-  'nebraska': '158',
-  'minnesota': '135',
-  'northwestern': '77',
-  'illinois': '356',
-  'purdue': '2509',
-  'indiana': '84',
-  'michigan state': '127',
-  'maryland': '120',
-  'rutgers': '164',
-  
-  // ACC
-  'clemson': '228',
-  'miami': '2390',
-  'florida state': '52',
-  'fsu': '52',
-  'north carolina': '153',
-  'unc': '153',
-  'nc state': '152',
-  'virginia tech': '259',
-  'virginia': '258',
-  'pittsburgh': '221',
-  'louisville': '97',
-  'duke': '150',
-  'wake forest': '154',
-  'boston college': '103',
-  'syracuse': '183',
-  'georgia tech': '59',
-  
-  // Pac-12 / Other
-  'usc': '30',
-  'ucla': '26',
-  'oregon': '2483',
-  'washington': '264',
-  'stanford': '24',
-  'notre dame': '87',
-  'byu': '252',
-  'utah': '254',
-  'colorado': '38',
-  'arizona': '12',
-  'arizona state': '9',
-  'washington state': '265',
-  'oregon state': '204',
-  'california': '25',
-  'cal': '25'
-};
-
-// Cache configuration
+// Cache configuration (games and scoreboards use adaptiveTtl from game-state.js)
 const CACHE_DURATION = {
-  LIVE_GAME: 60 * 1000,           // 1 minute for live games
-  COMPLETED_GAME: 24 * 60 * 60 * 1000,  // 24 hours for completed
   SCHEDULE: 24 * 60 * 60 * 1000,  // 24 hours
-  RANKINGS: 24 * 60 * 60 * 1000,  // 24 hours
-  SCOREBOARD: 5 * 60 * 1000       // 5 minutes
+  RANKINGS: 24 * 60 * 60 * 1000   // 24 hours
 };
 
-const cache = new Map();
+const cache = createCache('espn');
+
+// Results are cached per team id, so they can't carry the name a caller
+// used; error text says TEAM_NAME and forTeam() fills it in per call
+const TEAM_NAME = '{team}';
 
 /**
- * Get team ESPN ID from name
+ * A cached team result with the caller's spelling of the team
  */
-function getTeamId(teamName) {
-  const normalized = teamName.toLowerCase().trim();
-  return TEAM_MAP[normalized] || null;
+function forTeam(result, teamName) {
+  if (result.error) {
+    return { ...result, message: result.message.split(TEAM_NAME).join(teamName) };
+  }
+  return result;
 }
 
 /**
- * Fetch from ESPN API with error handling
+ * Fetch from ESPN API (timeouts, retries and circuit breaking in upstream.js)
  */
 async function fetchESPN(url) {
   console.log(`Fetching ESPN: ${url}`);
   
   try {
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Botosphere-MCP-Server/1.0'
-      }
-    });
-    
-    console.log(`ESPN Response Status: ${response.status} ${response.statusText}`);
-    
-    if (!response.ok) {
-      console.error(`ESPN API returned error status: ${response.status}`);
-      throw new Error(`ESPN API error: ${response.status} ${response.statusText}`);
-    }
-    
-    const data = await response.json();
+    const data = await fetchJson(url, { label: 'ESPN' });
     console.log(`ESPN Data received, events count: ${data.events?.length || 0}`);
     
     return data;
   } catch (error) {
     console.error('ESPN fetch error:', error.message);
-    console.error('Error stack:', error.stack);
     throw error;
   }
 }
 
-/**
- * Cache helper with TTL
- */
-function getCached(key, maxAge) {
-  const cached = cache.get(key);
-  if (!cached) return null;
-  
-  const age = Date.now() - cached.timestamp;
-  if (age > maxAge) {
-    cache.delete(key);
-    return null;
-  }
-  
-  console.log(`Cache hit: ${key} (age: ${Math.floor(age / 1000)}s)`);
-  return cached.data;
-}
-
-function setCache(key, data) {
-  cache.set(key, {
-    data,
-    timestamp: Date.now()
-  });
-}
-
 /**
  * Get current or most recent game score for a team
  */
 export async function getCurrentGame(teamName, sport = 'football') {
   console.log(`getCurrentGame called for: ${teamName}, sport: ${sport}`);
   
-  const teamId = getTeamId(teamName);
+  const sportLookup = lookupSport(sport);
+  if (sportLookup.error) {
+    return sportLookup;
+  }
+  const { id: sportId } = sportLookup.sport;
+  
+  const lookup = lookupTeam(teamName, { sport: sportId });
   
-  if (!teamId) {
-    console.log(`Team not found: ${teamName}`);
-    return {
-      error: true,
-      message: `Team "${teamName}" not found. Try: oklahoma, texas, alabama, ohio state, etc.`
-    };
+  if (lookup.error) {
+    console.log(`Team lookup failed: ${lookup.message}`);
+    return lookup;
   }
   
+  const teamId = lookup.team.id;
   console.log(`Team ID found: ${teamId} for ${teamName}`);
   
+  const game = await cache.wrap(`current_game_${teamId}_${sportId}`, () =>
+    loadCurrentGame(teamId, sportLookup.sport)
+  );
+  
+  return forTeam(game, teamName);
+}
+
+/**
+ * Fetch and pick the live / most recent game: { value, ttl } or an error result
+ */
+async function loadCurrentGame(teamId, sport) {
   try {
-    const sportPath = sport === 'football' ? 'football/college-football' : 
-                      sport === 'basketball' ? 'basketball/mens-college-basketball' :
-                      'football/college-football';
-    
-    const url = `${ESPN_BASE_URL}/${sportPath}/teams/${teamId}/schedule`;
+    const url = `${ESPN_BASE_URL}/${sport.espnPath}/teams/${teamId}/schedule`;
     const data = await fetchESPN(url);
     
     if (!data.events || data.events.length === 0) {
       console.log('No events found in ESPN schedule data');
       return {
         error: true,
-        message: `No games found for ${teamName}`
+        message: `No games found for ${TEAM_NAME}`
       };
     }
     
@@ -267,7 +155,7 @@ export async function getCurrentGame(teamName, sport = 'football') {
     }
     
     if (!currentGame) {
-      console.log('No recent or current game found for', teamName);
+      console.log('No recent or current game found for team', teamId);
       console.log('Total events in schedule:', data.events.length);
       if (data.events.length > 0) {
         console.log('First event date:', data.events[0].competitions?.[0]?.date);
@@ -275,7 +163,7 @@ export async function getCurrentGame(teamName, sport = 'football') {
       }
       return {
         error: true,
-        message: `No recent game found for ${teamName} in the last 7 days. The team may be between games or the schedule data may not be updated yet.`
+        message: `No recent game found for ${TEAM_NAME} in the last 7 days. The team may be between games or the schedule data may not be updated yet.`
       };
     }
     
@@ -294,11 +182,13 @@ export async function getCurrentGame(teamName, sport = 'football') {
     
     const gameResult = {
       game: {
+        id: currentGame.id,
         name: currentGame.name,
         date: competition.date,
         status: status.type.description,
         period: status.period,
         clock: status.displayClock,
+        state: status.type.state,
         isLive: status.type.state === 'in',
         isCompleted: status.type.completed,
         homeTeam: {
@@ -318,12 +208,19 @@ export async function getCurrentGame(teamName, sport = 'football') {
       }
     };
     
+    // Live: 1 min. Final: 24h, but only until the team's next kickoff
+    const ttl = adaptiveTtl([eventTiming(currentGame)], {
+      watch: data.events.map(eventTiming)
+    });
+    console.log(`Caching current game for ${Math.round(ttl / 1000)}s`);
+    
     console.log('Returning game result:', JSON.stringify(gameResult, null, 2));
-    return gameResult;
+    return { value: gameResult, ttl };
     
   } catch (error) {
     return {
       error: true,
+      upstream: true,
       message: `Failed to get game data: ${error.message}`
     };
   }
@@ -333,31 +230,44 @@ export async function getCurrentGame(teamName, sport = 'football') {
  * Get team schedule
  */
 export async function getTeamSchedule(teamName, sport = 'football', limit = 5) {
-  const teamId = getTeamId(teamName);
+  const sportLookup = lookupSport(sport);
+  if (sportLookup.error) {
+    return sportLookup;
+  }
+  const { id: sportId } = sportLookup.sport;
   
-  if (!teamId) {
-    return {
-      error: true,
-      message: `Team "${teamName}" not found`
-    };
+  const lookup = lookupTeam(teamName, { sport: sportId });
+  
+  if (lookup.error) {
+    return lookup;
   }
   
-  const cacheKey = `schedule_${teamId}_${sport}`;
-  const cached = getCached(cacheKey, CACHE_DURATION.SCHEDULE);
-  if (cached) return cached;
+  const teamId = lookup.team.id;
+  
+  // Every upcoming game is cached; each caller gets its own `limit`
+  const schedule = await cache.wrap(`schedule_${teamId}_${sportId}`, () =>
+    loadTeamSchedule(teamId, sportLookup.sport)
+  );
+  
+  if (schedule.error) {
+    return forTeam(schedule, teamName);
+  }
   
+  return { ...schedule, team: teamName, games: schedule.games.slice(0, limit) };
+}
+
+/**
+ * Fetch all upcoming games: { value, ttl } or an error result
+ */
+async function loadTeamSchedule(teamId, sport) {
   try {
-    const sportPath = sport === 'football' ? 'football/college-football' : 
-                      sport === 'basketball' ? 'basketball/mens-college-basketball' :
-                      'football/college-football';
-    
-    const url = `${ESPN_BASE_URL}/${sportPath}/teams/${teamId}/schedule`;
+    const url = `${ESPN_BASE_URL}/${sport.espnPath}/teams/${teamId}/schedule`;
     const data = await fetchESPN(url);
     
     if (!data.events || data.events.length === 0) {
       return {
         error: true,
-        message: `No schedule found for ${teamName}`
+        message: `No schedule found for ${TEAM_NAME}`
       };
     }
     
@@ -367,13 +277,13 @@ export async function getTeamSchedule(teamName, sport = 'football', limit = 5) {
         const gameDate = new Date(event.competitions?.[0]?.date);
         return gameDate >= now;
       })
-      .slice(0, limit)
       .map(event => {
         const competition = event.competitions[0];
         const homeTeam = competition.competitors.find(t => t.homeAway === 'home');
         const awayTeam = competition.competitors.find(t => t.homeAway === 'away');
         
         return {
+          id: event.id,
           date: competition.date,
           opponent: homeTeam.team.id === teamId ? awayTeam.team.displayName : homeTeam.team.displayName,
           location: homeTeam.team.id === teamId ? 'Home' : 'Away',
@@ -391,16 +301,15 @@ export async function getTeamSchedule(teamName, sport = 'football', limit = 5) {
       });
     
     const result = {
-      team: teamName,
       games: upcomingGames
     };
     
-    setCache(cacheKey, result);
-    return result;
+    return { value: result, ttl: CACHE_DURATION.SCHEDULE };
     
   } catch (error) {
     return {
       error: true,
+      upstream: true,
       message: `Failed to get schedule: ${error.message}`
     };
   }
@@ -410,17 +319,23 @@ export async function getTeamSchedule(teamName, sport = 'football', limit = 5) {
  * Get scoreboard for all games today
  */
 export async function getScoreboard(sport = 'football', date = null) {
-  const dateStr = date || new Date().toISOString().split('T')[0].replace(/-/g, '');
-  const cacheKey = `scoreboard_${sport}_${dateStr}`;
-  const cached = getCached(cacheKey, CACHE_DURATION.SCOREBOARD);
-  if (cached) return cached;
+  const sportLookup = lookupSport(sport);
+  if (sportLookup.error) {
+    return sportLookup;
+  }
   
+  const dateStr = date || new Date().toISOString().split('T')[0].replace(/-/g, '');
+  return cache.wrap(`scoreboard_${sportLookup.sport.id}_${dateStr}`, () =>
+    loadScoreboard(sportLookup.sport, dateStr)
+  );
+}
+
+/**
+ * Fetch the day's scoreboard: { value, ttl } or an error result
+ */
+async function loadScoreboard(sport, dateStr) {
   try {
-    const sportPath = sport === 'football' ? 'football/college-football' : 
-                      sport === 'basketball' ? 'basketball/mens-college-basketball' :
-                      'football/college-football';
-    
-    const url = `${ESPN_BASE_URL}/${sportPath}/scoreboard?dates=${dateStr}`;
+    const url = `${ESPN_BASE_URL}/${sport.espnPath}/scoreboard?dates=${dateStr}`;
     const data = await fetchESPN(url);
     
     if (!data.events || data.events.length === 0) {
@@ -437,8 +352,10 @@ export async function getScoreboard(sport = 'football', date = null) {
       const status = competition.status;
       
       return {
+        id: event.id,
         name: event.name,
         status: status.type.description,
+        state: status.type.state,
         isLive: status.type.state === 'in',
         period: status.period,
         clock: status.displayClock,
@@ -463,12 +380,16 @@ export async function getScoreboard(sport = 'football', date = null) {
       games
     };
     
-    setCache(cacheKey, result);
-    return result;
+    // Any game live: 1 min. All final: 24h. Otherwise 15 min, or until the next kickoff
+    const ttl = adaptiveTtl(data.events.map(eventTiming), {
+      idle: GAME_STATE_TTL.SCOREBOARD_IDLE
+    });
+    return { value: result, ttl };
     
   } catch (error) {
     return {
       error: true,
+      upstream: true,
       message: `Failed to get scoreboard: ${error.message}`
     };
   }
@@ -478,16 +399,22 @@ export async function getScoreboard(sport = 'football', date = null) {
  * Get rankings (AP Top 25)
  */
 export async function getRankings(sport = 'football', poll = 'ap') {
-  const cacheKey = `rankings_${sport}_${poll}`;
-  const cached = getCached(cacheKey, CACHE_DURATION.RANKINGS);
-  if (cached) return cached;
+  const sportLookup = lookupSport(sport);
+  if (sportLookup.error) {
+    return sportLookup;
+  }
   
+  return cache.wrap(`rankings_${sportLookup.sport.id}_${poll}`, () =>
+    loadRankings(sportLookup.sport, poll)
+  );
+}
+
+/**
+ * Fetch the poll: { value, ttl } or an error result
+ */
+async function loadRankings(sport, poll) {
   try {
-    const sportPath = sport === 'football' ? 'football/college-football' : 
-                      sport === 'basketball' ? 'basketball/mens-college-basketball' :
-                      'football/college-football';
-    
-    const url = `${ESPN_BASE_URL}/${sportPath}/rankings`;
+    const url = `${ESPN_BASE_URL}/${sport.espnPath}/rankings`;
     const data = await fetchESPN(url);
     
     if (!data.rankings || data.rankings.length === 0) {
@@ -522,12 +449,12 @@ export async function getRankings(sport = 'football', poll = 'ap') {
       teams
     };
     
-    setCache(cacheKey, result);
-    return result;
+    return { value: result, ttl: CACHE_DURATION.RANKINGS };
     
   } catch (error) {
     return {
       error: true,
+      upstream: true,
       message: `Failed to get rankings: ${error.message}`
     };
   }
@@ -536,7 +463,6 @@ export async function getRankings(sport = 'football', poll = 'ap') {
 /**
  * Clear ESPN cache
  */
-export function clearCache() {
-  cache.clear();
-  console.log('ESPN cache cleared');
+export async function clearCache() {
+  await cache.clear();
 }
@@ -1,24 +1,82 @@
 // espn-player.js
-// ESPN per–game player stats from the public summary API
+// ESPN per–game player stats, play-by-play and game summaries from the public summary API
 
-import fetch from "node-fetch";
+import { fetchJson } from "./upstream.js";
+import { createCache } from "./cache.js";
+import { adaptiveTtl, eventTiming, GAME_STATE_TTL } from "./game-state.js";
+import { getSport, lookupSport } from "./sports.js";
+import { findTeam } from "./team-directory.js";
+
+const SUMMARY_BASE_URL = "https://site.web.api.espn.com/apis/common/v3/sports";
+
+// Shares the ESPN namespace with espn-api.js
+const cache = createCache("espn");
 
 /**
- * Fetch JSON from a URL with basic error handling.
+ * ESPN summary endpoint for an event (box score, drives, plays, leaders, ...)
  */
-async function fetchJson(url) {
-  const res = await fetch(url, {
-    headers: {
-      "User-Agent": "BoomerBot/1.0 (ESPN MCP Server)"
-    }
+function fetchSummary(eventId, espnPath) {
+  return fetchJson(`${SUMMARY_BASE_URL}/${espnPath}/summary`, {
+    label: "ESPN",
+    query: { event: eventId },
+  });
+}
+
+/**
+ * Finals are cached for a day; live (or unknown) state refreshes every minute
+ */
+function summaryTtl(data) {
+  return adaptiveTtl([eventTiming(data.header)], { idle: GAME_STATE_TTL.LIVE });
+}
+
+/**
+ * Raw ESPN summary for an event, cached once per sport and event; the box
+ * score, play-by-play and game summary are all built from this entry.
+ * Throws when ESPN fails and nothing is cached.
+ */
+function loadSummary(eventId, sport) {
+  return cache.wrap(`summary_${sport.id}_${eventId}`, async () => {
+    const data = await fetchSummary(eventId, sport.espnPath);
+    return { value: data, ttl: summaryTtl(data) };
   });
+}
 
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`ESPN request failed ${res.status}: ${text}`);
+/**
+ * A view built from a stale summary is stale too
+ */
+function withStale(view, data) {
+  return data.stale ? { ...view, stale: data.stale } : view;
+}
+
+/**
+ * The teams playing in the event, from the summary header
+ */
+function gameTeams(data) {
+  return (data.header?.competitions?.[0]?.competitors || []).map((c) => ({
+    id: String(c.team?.id ?? c.id),
+    name: c.team?.displayName,
+    shortName: c.team?.shortDisplayName || null,
+    abbreviation: c.team?.abbreviation || null,
+    homeAway: c.homeAway,
+  }));
+}
+
+/**
+ * Teams playing in an ESPN event ({ id, name, shortName, abbreviation,
+ * homeAway }), read through the same cached summary as the views below.
+ * Throws when ESPN fails and nothing is cached.
+ *
+ * @param {string|number} eventId - ESPN event id
+ * @param {object} [options]
+ * @param {string} [options.sport="football"] - sports.js id
+ */
+export async function getGameTeams(eventId, { sport = "football" } = {}) {
+  const sportLookup = lookupSport(sport);
+  if (sportLookup.error) {
+    throw new Error(sportLookup.message);
   }
 
-  return res.json();
+  return gameTeams(await loadSummary(eventId, sportLookup.sport));
 }
 
 /**
@@ -32,11 +90,14 @@ export async function getGamePlayerStats(eventId) {
     throw new Error("eventId is required");
   }
 
-  // ESPN summary endpoint (college football)
-  const url = `https://site.web.api.espn.com/apis/common/v3/sports/football/college-football/summary?event=${eventId}`;
-
-  const data = await fetchJson(url);
+  const data = await loadSummary(eventId, getSport("football"));
+  return withStale(gamePlayerStats(eventId, data), data);
+}
 
+/**
+ * Normalize the box score players. Throws when there are none.
+ */
+function gamePlayerStats(eventId, data) {
   if (!data || !data.boxscore || !data.boxscore.players) {
     throw new Error("No boxscore player data returned from ESPN");
   }
@@ -112,3 +173,275 @@ export async function getGamePlayerStats(eventId) {
 
   return result;
 }
+
+/**
+ * Drives and plays for an ESPN event, optionally filtered.
+ *
+ * @param {string|number} eventId - ESPN event id
+ * @param {object} [options]
+ * @param {string} [options.sport="football"] - sports.js id; drives are football only
+ * @param {number} [options.quarter] - period number (quarter, half, inning, ...)
+ * @param {string} [options.team] - team name or abbreviation, one of the two in the game
+ * @param {boolean} [options.scoringOnly] - scoring drives / plays only
+ * @returns {Promise<object>} { eventId, sport, teams, drives, plays } or an error result
+ */
+export async function getPlayByPlay(eventId, { sport = "football", quarter, team, scoringOnly } = {}) {
+  if (!eventId) {
+    throw new Error("eventId is required");
+  }
+
+  const sportLookup = lookupSport(sport);
+  if (sportLookup.error) {
+    return sportLookup;
+  }
+
+  let game;
+  try {
+    const data = await loadSummary(eventId, sportLookup.sport);
+    game = withStale(playByPlay(eventId, sportLookup.sport, data), data);
+  } catch (error) {
+    return { error: true, message: `Failed to get play-by-play: ${error.message}` };
+  }
+
+  let teamId = null;
+  if (team) {
+    teamId = gameTeamId(game.teams, team);
+    if (!teamId) {
+      const playing = game.teams.map((t) => t.name).join(" vs ");
+      return { error: true, message: `${team} is not playing in event ${eventId} (${playing})` };
+    }
+  }
+
+  const keep = (item, period) =>
+    (!quarter || period === quarter) &&
+    (!teamId || item.teamId === teamId) &&
+    (!scoringOnly || item.scoring);
+
+  return {
+    ...game,
+    filters: { quarter: quarter ?? null, team: team ?? null, scoringOnly: Boolean(scoringOnly) },
+    drives: game.drives.filter((drive) => keep(drive, drive.start.period)),
+    plays: game.plays.filter((play) => keep(play, play.period)),
+  };
+}
+
+/**
+ * Id of the game team a name refers to: directory match first, then the
+ * name / abbreviation ESPN uses in this game
+ */
+function gameTeamId(teams, name) {
+  const known = findTeam(name);
+  if (known && teams.some((t) => t.id === known.id)) return known.id;
+
+  const wanted = String(name).trim().toLowerCase();
+  const match = teams.find((t) =>
+    [t.name, t.shortName, t.abbreviation].some((field) => field?.toLowerCase() === wanted)
+  );
+  return match?.id || null;
+}
+
+/**
+ * Normalize drives and plays. Throws when there are none.
+ */
+function playByPlay(eventId, sport, data) {
+  const teams = gameTeams(data);
+  const abbreviation = (id) => teams.find((t) => t.id === String(id))?.abbreviation || null;
+
+  // Football nests plays in drives; other sports have a flat list
+  const rawDrives = [...(data.drives?.previous || []), ...(data.drives?.current ? [data.drives.current] : [])];
+  const drives = rawDrives.map(normalizeDrive);
+  const plays = rawDrives.length > 0
+    ? rawDrives.flatMap((drive) =>
+        (drive.plays || []).map((play) => normalizePlay(play, drive, abbreviation))
+      )
+    : (data.plays || []).map((play) => normalizePlay(play, null, abbreviation));
+
+  if (drives.length === 0 && plays.length === 0) {
+    throw new Error(`No play-by-play data returned from ESPN for event ${eventId}`);
+  }
+
+  const result = {
+    eventId: String(eventId),
+    sport: sport.id,
+    teams,
+    drives,
+    plays,
+  };
+
+  return result;
+}
+
+function fieldPosition(spot) {
+  return {
+    period: spot?.period?.number ?? null,
+    clock: spot?.clock?.displayValue ?? null,
+    yardLine: spot?.yardLine ?? null,
+    text: spot?.text || null,
+  };
+}
+
+function normalizeDrive(drive) {
+  return {
+    id: drive.id ? String(drive.id) : null,
+    teamId: drive.team?.id ? String(drive.team.id) : null,
+    team: drive.team?.abbreviation || drive.team?.displayName || null,
+    description: drive.description || null,
+    start: fieldPosition(drive.start),
+    end: fieldPosition(drive.end),
+    result: drive.displayResult || drive.result || null,
+    scoring: Boolean(drive.isScore),
+    plays: drive.offensivePlays ?? drive.plays?.length ?? null,
+    yards: drive.yards ?? null,
+    timeOfPossession: drive.timeElapsed?.displayValue || null,
+  };
+}
+
+function normalizePlay(play, drive, abbreviation) {
+  const teamId = play.start?.team?.id ?? play.team?.id ?? drive?.team?.id;
+
+  return {
+    id: play.id ? String(play.id) : null,
+    driveId: drive?.id ? String(drive.id) : null,
+    period: play.period?.number ?? null,
+    clock: play.clock?.displayValue ?? null,
+    teamId: teamId ? String(teamId) : null,
+    team: teamId ? abbreviation(teamId) : null,
+    type: play.type?.text || null,
+    down: play.start?.down || null,
+    distance: play.start?.distance ?? null,
+    yardLine: play.start?.possessionText || null,
+    yards: play.statYardage ?? null,
+    text: play.text || null,
+    scoring: Boolean(play.scoringPlay),
+    awayScore: play.awayScore ?? null,
+    homeScore: play.homeScore ?? null,
+  };
+}
+
+/**
+ * Team box score, leaders, linescore and game info for an ESPN event.
+ *
+ * @param {string|number} eventId - ESPN event id
+ * @param {object} [options]
+ * @param {string} [options.sport="football"] - sports.js id
+ * @returns {Promise<object>} { eventId, sport, teams, comparison, leaders, venue, attendance, officials } or an error result
+ */
+export async function getGameSummary(eventId, { sport = "football" } = {}) {
+  if (!eventId) {
+    throw new Error("eventId is required");
+  }
+
+  const sportLookup = lookupSport(sport);
+  if (sportLookup.error) {
+    return sportLookup;
+  }
+
+  try {
+    const data = await loadSummary(eventId, sportLookup.sport);
+    return withStale(gameSummary(eventId, sportLookup.sport, data), data);
+  } catch (error) {
+    return { error: true, message: `Failed to get game summary: ${error.message}` };
+  }
+}
+
+/**
+ * Normalize the game summary. Throws when ESPN has no teams for the event.
+ */
+function gameSummary(eventId, sport, data) {  const competition = data.header?.competitions?.[0];
+
+  if (!competition?.competitors?.length) {
+    throw new Error(`No game summary returned from ESPN for event ${eventId}`);
+  }
+
+  const teams = competition.competitors.map((c) => ({
+    id: String(c.team?.id ?? c.id),
+    name: c.team?.displayName,
+    abbreviation: c.team?.abbreviation || null,
+    homeAway: c.homeAway,
+    score: c.score ?? null,
+    linescore: (c.linescores || []).map((line) => line.displayValue ?? line.value ?? null),
+  }));
+  const side = (teamId) => teams.find((t) => t.id === String(teamId))?.homeAway;
+  const abbreviation = (teamId) => teams.find((t) => t.id === String(teamId))?.abbreviation || null;
+
+  const venue = data.gameInfo?.venue;
+
+  const result = {
+    eventId: String(eventId),
+    sport: sport.id,
+    date: competition.date || null,
+    state: competition.status?.type?.state || null,
+    status: competition.status?.type?.detail || null,
+    teams,
+    comparison: teamComparison(data.boxscore?.teams || [], side),
+    leaders: gameLeaders(data.leaders || [], abbreviation),
+    venue: venue
+      ? {
+          name: venue.fullName || null,
+          city: venue.address?.city || null,
+          state: venue.address?.state || null,
+        }
+      : null,
+    attendance: data.gameInfo?.attendance || null,
+    officials: (data.gameInfo?.officials || []).map((official) => ({
+      name: official.displayName || official.fullName,
+      position: official.position?.displayName || official.position?.name || null,
+    })),
+  };
+
+  return result;
+}
+
+/**
+ * boxscore.teams -> one row per stat with the away and home values, in
+ * ESPN's order (first downs, total yards, ..., possession)
+ */
+function teamComparison(boxscoreTeams, side) {
+  const rows = new Map(); // stat name -> row
+
+  for (const block of boxscoreTeams) {
+    const homeAway = block.homeAway || side(block.team?.id);
+    if (homeAway !== "home" && homeAway !== "away") continue;
+
+    for (const stat of block.statistics || []) {
+      if (!rows.has(stat.name)) {
+        rows.set(stat.name, { name: stat.name, label: stat.label || stat.name, away: null, home: null });
+      }
+      rows.get(stat.name)[homeAway] = stat.displayValue ?? null;
+    }
+  }
+
+  return [...rows.values()];
+}
+
+/**
+ * leaders -> each category with its top player per team
+ */
+function gameLeaders(teamLeaders, abbreviation) {
+  const categories = new Map(); // category name -> category
+
+  for (const block of teamLeaders) {
+    const teamId = block.team?.id ? String(block.team.id) : null;
+
+    for (const category of block.leaders || []) {
+      const top = category.leaders?.[0];
+      if (!top) continue;
+
+      if (!categories.has(category.name)) {
+        categories.set(category.name, {
+          category: category.name,
+          label: category.displayName || category.name,
+          leaders: [],
+        });
+      }
+      categories.get(category.name).leaders.push({
+        teamId,
+        team: block.team?.abbreviation || abbreviation(teamId),
+        player: top.athlete?.displayName || null,
+        value: top.displayValue || null,
+      });
+    }
+  }
+
+  return [...categories.values()];
+}
@@ -0,0 +1,139 @@
+/**
+ * GAME STATE
+ * Score parsing and change detection for live games.
+ * Shared by the NIL rules engine and resource subscriptions so both
+ * agree on what counts as "the score changed".
+ *
+ * Also the adaptive cache TTLs (ADAPTIVE-CACHING.md): how long a payload
+ * may be cached depends on the pre/in/post state of the games in it.
+ */
+
+import { findTeam } from "./team-directory.js";
+
+export const GAME_STATE_TTL = {
+  LIVE: 60 * 1000,                    // any game in progress
+  UPCOMING: 6 * 60 * 60 * 1000,       // single game not started yet
+  COMPLETED: 24 * 60 * 60 * 1000,     // every game final
+  SCOREBOARD_IDLE: 15 * 60 * 1000,    // scoreboard, nothing live yet
+};
+
+/**
+ * ESPN scores arrive as numbers, strings or { value, displayValue }
+ */
+export function parseScore(score) {
+  return parseInt(score?.displayValue || score?.value || score || 0);
+}
+
+/**
+ * Known teams match on ESPN's display name ("oklahoma" must not match
+ * "Oklahoma State Cowboys"); anything else falls back to a name match
+ */
+function isHomeTeam(game, espnTeam) {
+  const team = findTeam(espnTeam);
+  if (team) {
+    if (game.homeTeam?.name === team.displayName) return true;
+    if (game.awayTeam?.name === team.displayName) return false;
+    return game.homeTeam?.abbreviation === team.abbreviation;
+  }
+
+  const name = espnTeam.toLowerCase();
+  const home = game.homeTeam?.name?.toLowerCase() || "";
+  return home.includes(name) || name.includes(home.split(" ").pop());
+}
+
+/**
+ * Scores from one team's point of view, given a getCurrentGame() game
+ */
+export function getTeamScore(game, espnTeam) {
+  if (isHomeTeam(game, espnTeam)) {
+    return {
+      myScore:  parseScore(game.homeTeam?.score),
+      oppScore: parseScore(game.awayTeam?.score),
+      myName:   game.homeTeam?.name,
+      oppName:  game.awayTeam?.name,
+    };
+  } else {
+    return {
+      myScore:  parseScore(game.awayTeam?.score),
+      oppScore: parseScore(game.homeTeam?.score),
+      myName:   game.awayTeam?.name,
+      oppName:  game.homeTeam?.name,
+    };
+  }
+}
+
+/**
+ * Comparable snapshot of a game for change detection
+ */
+export function gameSnapshot(game, espnTeam) {
+  const { myScore, oppScore } = getTeamScore(game, espnTeam);
+  return {
+    myScore,
+    oppScore,
+    period: game.period,
+    clock:  game.clock,
+    status: game.status,
+  };
+}
+
+export function scoreChanged(prev, next) {
+  return next.myScore !== prev.myScore || next.oppScore !== prev.oppScore;
+}
+
+/**
+ * Score, period, clock or status moved since the previous snapshot
+ */
+export function gameChanged(prev, next) {
+  return (
+    scoreChanged(prev, next) ||
+    next.period !== prev.period ||
+    next.clock !== prev.clock ||
+    next.status !== prev.status
+  );
+}
+
+// ── ADAPTIVE CACHE TTL ────────────────────────────────────────────────────────
+
+/**
+ * { state, date } from a raw ESPN event (scoreboard, schedule or summary header)
+ */
+export function eventTiming(event) {
+  const competition = event?.competitions?.[0];
+  return {
+    state: competition?.status?.type?.state,
+    date: competition?.date,
+  };
+}
+
+/**
+ * Cache TTL for a payload showing `games` ([{ state, date }]):
+ *   - any game live              -> LIVE
+ *   - every game final           -> COMPLETED
+ *   - otherwise                  -> idle (UPCOMING or SCOREBOARD_IDLE)
+ * then cut short at the next kickoff among `games` and `watch` (games that
+ * aren't in the payload but would change it once they start, e.g. the
+ * next game on a schedule). A kickoff that has passed while ESPN still says
+ * "pre" means the game is about to go live.
+ */
+export function adaptiveTtl(games, { idle = GAME_STATE_TTL.UPCOMING, watch = [] } = {}) {
+  const states = games.map((game) => game.state);
+  if (states.includes("in")) return GAME_STATE_TTL.LIVE;
+
+  let ttl =
+    states.length > 0 && states.every((state) => state === "post")
+      ? GAME_STATE_TTL.COMPLETED
+      : idle;
+
+  const now = Date.now();
+  for (const game of [...games, ...watch]) {
+    if (game.state !== "pre" || !game.date) continue;
+
+    const untilKickoff = new Date(game.date).getTime() - now;
+    if (isNaN(untilKickoff)) continue;
+    if (untilKickoff <= 0) return GAME_STATE_TTL.LIVE;
+
+    ttl = Math.min(ttl, Math.max(GAME_STATE_TTL.LIVE, untilKickoff));
+  }
+
+  return ttl;
+}
@@ -0,0 +1,339 @@
+/**
+ * MCP STREAMABLE HTTP TRANSPORT
+ * Session tracking, SSE streaming and resumability for the /mcp endpoint
+ *
+ *   POST   /mcp  - client -> server messages (JSON or SSE response)
+ *   GET    /mcp  - standalone SSE stream for server-initiated messages
+ *   DELETE /mcp  - terminate a session
+ *
+ * Sessions are optional: clients that never call initialize (or don't send
+ * Mcp-Session-Id) keep the original one-request/one-response behaviour.
+ *
+ * MCP-Protocol-Version is checked on every request; sessionless clients get
+ * the features of the version they send (default 2025-03-26).
+ */
+
+import express from "express";
+import { randomUUID } from "crypto";
+import { isSupportedProtocolVersion, SUPPORTED_PROTOCOL_VERSIONS } from "./protocol.js";
+
+const SESSION_HEADER = "mcp-session-id";
+const PROTOCOL_VERSION_HEADER = "mcp-protocol-version";
+const SESSION_IDLE_TIMEOUT = 30 * 60 * 1000; // 30 minutes
+const EVENT_HISTORY_LIMIT = 200; // events kept per session for replay
+const KEEPALIVE_INTERVAL = 25 * 1000; // SSE comment ping
+
+const sessions = new Map();
+
+// ── SESSIONS ──────────────────────────────────────────────────────────────────
+
+function createSession(apiKey) {
+  const id = randomUUID();
+  const session = {
+    id,
+    apiKeyName: apiKey?.name ?? null,
+    createdAt: Date.now(),
+    lastSeen: Date.now(),
+    eventCounter: 0,
+    events: [],
+    standaloneStreamId: randomUUID(),
+    standaloneStream: null,
+    onClose: [],
+    send: (message) => sendToSession(id, message),
+  };
+
+  sessions.set(session.id, session);
+  console.log(`[MCP Transport] Session created: ${session.id}`);
+  return session;
+}
+
+export function getSession(sessionId) {
+  return sessions.get(sessionId) || null;
+}
+
+export function getSessionCount() {
+  return sessions.size;
+}
+
+export function closeSession(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) return false;
+
+  session.standaloneStream?.end();
+  for (const callback of session.onClose) {
+    try {
+      callback(session);
+    } catch (err) {
+      console.error(`[MCP Transport] Session close hook failed: ${err.message}`);
+    }
+  }
+
+  sessions.delete(sessionId);
+  console.log(`[MCP Transport] Session closed: ${sessionId}`);
+  return true;
+}
+
+/**
+ * Send a server-initiated message (notification or request) to a session.
+ * Delivered on the session's GET stream if one is open, and buffered so a
+ * reconnecting client can replay it with Last-Event-ID.
+ */
+export function sendToSession(sessionId, message) {
+  const session = sessions.get(sessionId);
+  if (!session) return false;
+
+  const event = recordEvent(session, session.standaloneStreamId, message);
+  if (session.standaloneStream) {
+    writeEvent(session.standaloneStream, event);
+  }
+  return true;
+}
+
+function recordEvent(session, streamId, message) {
+  const event = {
+    id: `${streamId}:${++session.eventCounter}`,
+    streamId,
+    message,
+  };
+
+  session.events.push(event);
+  if (session.events.length > EVENT_HISTORY_LIMIT) {
+    session.events.shift();
+  }
+  return event;
+}
+
+function eventsAfter(session, lastEventId) {
+  const index = session.events.findIndex((e) => e.id === lastEventId);
+  if (index === -1) return null;
+
+  const streamId = session.events[index].streamId;
+  return {
+    streamId,
+    events: session.events
+      .slice(index + 1)
+      .filter((e) => e.streamId === streamId),
+  };
+}
+
+// Drop idle sessions that have no open stream
+setInterval(() => {
+  const cutoff = Date.now() - SESSION_IDLE_TIMEOUT;
+  for (const session of sessions.values()) {
+    if (session.lastSeen < cutoff && !session.standaloneStream) {
+      console.log(`[MCP Transport] Session expired: ${session.id}`);
+      closeSession(session.id);
+    }
+  }
+}, 60 * 1000).unref();
+
+// ── SSE HELPERS ───────────────────────────────────────────────────────────────
+
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const keepalive = setInterval(() => res.write(": ping\n\n"), KEEPALIVE_INTERVAL);
+  res.on("close", () => clearInterval(keepalive));
+}
+
+function writeEvent(res, event) {
+  let chunk = "";
+  if (event.id) {
+    chunk += `id: ${event.id}\n`;
+  }
+  chunk += `data: ${JSON.stringify(event.message)}\n\n`;
+  res.write(chunk);
+}
+
+function acceptsEventStream(req) {
+  return (req.headers.accept || "").includes("text/event-stream");
+}
+
+function transportError(res, status, code, message) {
+  return res.status(status).json({
+    jsonrpc: "2.0",
+    error: { code, message },
+    id: null,
+  });
+}
+
+// ── ROUTER ────────────────────────────────────────────────────────────────────
+
+/**
+ * Build the /mcp router.
+ *
+ * @param {object} options
+ * @param {Function} options.handleMessage - async (payload, context) => response | response[] | null
+ * @param {Function} [options.authenticate] - express middleware run before every verb;
+ *   may set req.apiKey, which is passed to handleMessage and pins new sessions
+ */
+export function createMcpRouter({ handleMessage, authenticate }) {
+  const router = express.Router();
+
+  if (authenticate) {
+    router.use(authenticate);
+  }
+
+  // Resolve Mcp-Session-Id for every verb
+  router.use((req, res, next) => {
+    const sessionId = req.headers[SESSION_HEADER];
+    if (!sessionId) {
+      req.mcpSession = null;
+      return next();
+    }
+
+    // A session is only visible to the key that created it
+    const session = sessions.get(sessionId);
+    if (!session || session.apiKeyName !== (req.apiKey?.name ?? null)) {
+      return transportError(res, 404, -32003, `Session not found: ${sessionId}`);
+    }
+
+    session.lastSeen = Date.now();
+    req.mcpSession = session;
+    next();
+  });
+
+  // Reject protocol versions we never negotiate
+  router.use((req, res, next) => {
+    const version = req.headers[PROTOCOL_VERSION_HEADER];
+    if (version && !isSupportedProtocolVersion(version)) {
+      return transportError(
+        res,
+        400,
+        -32600,
+        `Unsupported MCP-Protocol-Version: ${version}. Supported: ${SUPPORTED_PROTOCOL_VERSIONS.join(", ")}`
+      );
+    }
+
+    req.mcpProtocolVersion = version || null;
+    next();
+  });
+
+  router.post("/", async (req, res) => {
+    const message = req.body;
+    let session = req.mcpSession;
+
+    // The spec keeps initialize out of batches; a batched one would run
+    // without the session it is meant to create
+    if (Array.isArray(message) && message.some((m) => m?.method === "initialize")) {
+      return transportError(res, 400, -32600, "initialize must be sent on its own, not in a batch");
+    }
+
+    if (!session && message?.method === "initialize") {
+      session = createSession(req.apiKey);
+      res.set("Mcp-Session-Id", session.id);
+    }
+
+    const messages = Array.isArray(message) ? message : [message];
+    const wantsProgress = messages.some(
+      (m) => m?.params?._meta?.progressToken !== undefined
+    );
+
+    if (!acceptsEventStream(req) || !wantsProgress) {
+      const context = {
+        session,
+        apiKey: req.apiKey ?? null,
+        protocolVersion: req.mcpProtocolVersion,
+        notify: (method, params) => {
+          if (session) sendToSession(session.id, { jsonrpc: "2.0", method, params });
+        },
+      };
+      const response = await handleMessage(message, context);
+
+      // Notifications and client responses only: ack with 202
+      if (response === null) {
+        return res.status(202).end();
+      }
+
+      // Throttled single request: mirror the JSON-RPC retry hint for HTTP clients
+      const retryAfter = response.error?.data?.retryAfter;
+      if (retryAfter) {
+        res.set("Retry-After", String(retryAfter));
+      }
+      return res.json(response);
+    }
+
+    // SSE response: progress notifications first, then the response itself
+    const streamId = randomUUID();
+    openEventStream(res);
+
+    const emit = (payload) => {
+      const event = session
+        ? recordEvent(session, streamId, payload)
+        : { message: payload };
+      if (!res.writableEnded) writeEvent(res, event);
+    };
+
+    const context = {
+      session,
+      apiKey: req.apiKey ?? null,
+      protocolVersion: req.mcpProtocolVersion,
+      notify: (method, params) => emit({ jsonrpc: "2.0", method, params }),
+    };
+
+    const response = await handleMessage(message, context);
+    if (response !== null) {
+      emit(response);
+    }
+    res.end();
+  });
+
+  router.get("/", (req, res) => {
+    if (!acceptsEventStream(req)) {
+      return transportError(res, 406, -32600, "GET /mcp requires Accept: text/event-stream");
+    }
+
+    const session = req.mcpSession;
+    if (!session) {
+      return transportError(res, 400, -32600, "Missing Mcp-Session-Id header. Call initialize first.");
+    }
+
+    const lastEventId = req.headers["last-event-id"];
+    let replay = [];
+
+    if (lastEventId) {
+      const found = eventsAfter(session, lastEventId);
+      if (!found) {
+        console.log(`[MCP Transport] Unknown Last-Event-ID ${lastEventId} for ${session.id}`);
+      } else {
+        replay = found.events;
+      }
+    }
+
+    // Only one standalone stream per session; a reconnect replaces the old one
+    session.standaloneStream?.end();
+    openEventStream(res);
+    session.standaloneStream = res;
+
+    for (const event of replay) {
+      writeEvent(res, event);
+    }
+
+    console.log(`[MCP Transport] SSE stream opened for ${session.id} (replayed ${replay.length})`);
+
+    res.on("close", () => {
+      if (session.standaloneStream === res) {
+        session.standaloneStream = null;
+      }
+      session.lastSeen = Date.now();
+    });
+  });
+
+  router.delete("/", (req, res) => {
+    const session = req.mcpSession;
+    if (!session) {
+      return transportError(res, 400, -32600, "Missing Mcp-Session-Id header");
+    }
+
+    closeSession(session.id);
+    res.status(204).end();
+  });
+
+  return router;
+}
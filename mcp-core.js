@@ -0,0 +1,565 @@
+/**
+ * MCP CORE
+ * Transport-agnostic JSON-RPC 2.0 dispatch (tools live in tools/)
+ * Shared by the HTTP server (server.js) and the stdio entry point (stdio-server.js)
+ */
+
+import { getTool, listTools, describeTool } from "./tools/index.js";
+import { validateArguments } from "./tools/validate.js";
+import {
+  listResources,
+  listResourceTemplates,
+  readResource,
+  parseResourceUri,
+  ResourceError,
+} from "./resources.js";
+import { subscribe, unsubscribe } from "./subscriptions.js";
+import { listPrompts, getPrompt } from "./prompts.js";
+import {
+  SUPPORTED_PROTOCOL_VERSIONS,
+  negotiateProtocolVersion,
+  resolveProtocolVersion,
+  protocolFeatures,
+} from "./protocol.js";
+import { AUTH_ERRORS, isToolAllowed, checkScope, checkEventScope } from "./api-keys.js";
+import { checkRequestLimit, checkToolLimit } from "./rate-limits.js";
+
+/**
+ * JSON-RPC PAYLOAD
+ * Accepts a single message or a batch array (JSON-RPC 2.0 §6).
+ * Batch entries run concurrently; notifications produce no entry.
+ *
+ * Batches are refused once a session negotiates 2025-06-18 or later,
+ * which dropped JSON-RPC batching from the spec.
+ *
+ * Returns a response object, an array of responses, or null when
+ * nothing needs to be sent back (notifications only).
+ *
+ * @param {object|Array} payload - parsed JSON-RPC message or batch
+ * @param {object} context - { session, apiKey, protocolVersion, notify(method, params) }
+ */
+export async function handleRpcPayload(payload, context) {
+  if (!Array.isArray(payload)) {
+    return handleRpcMessage(payload, context);
+  }
+
+  if (payload.length === 0) {
+    return {
+      jsonrpc: "2.0",
+      error: {
+        code: -32600,
+        message: "Invalid Request: batch must not be empty",
+      },
+      id: null,
+    };
+  }
+
+  const protocolVersion = resolveProtocolVersion(context);
+  if (!protocolFeatures(protocolVersion).batching) {
+    return {
+      jsonrpc: "2.0",
+      error: {
+        code: -32600,
+        message: `Invalid Request: JSON-RPC batching is not supported in protocol version ${protocolVersion}`,
+      },
+      id: null,
+    };
+  }
+
+  console.log(`JSON-RPC batch: ${payload.length} messages`);
+
+  const responses = await Promise.all(
+    payload.map((message) => handleRpcMessage(message, context))
+  );
+  const sent = responses.filter((response) => response !== null);
+
+  return sent.length > 0 ? sent : null;
+}
+
+/**
+ * A well-formed request without an id. The server must not reply to these,
+ * not even with an error.
+ */
+function isNotification(message) {
+  return (
+    message !== null &&
+    typeof message === "object" &&
+    !Array.isArray(message) &&
+    message.jsonrpc === "2.0" &&
+    typeof message.method === "string" &&
+    !("id" in message)
+  );
+}
+
+/**
+ * Sport / team / event a resource URI touches, for API key scope checks
+ * (box scores are football only)
+ */
+function resourceScope(uri) {
+  const parsed = parseResourceUri(uri);
+  if (!parsed) return {};
+
+  const { team, sport, eventId } = parsed.values;
+  return { team, eventId, sport: sport ?? (team || eventId ? "football" : undefined) };
+}
+
+/**
+ * JSON-RPC DISPATCH
+ * Handles a single message. Returns the response object, or null for
+ * notifications.
+ */
+export async function handleRpcMessage(message, context) {
+  const response = await dispatchMessage(message, context);
+  return isNotification(message) ? null : response;
+}
+
+/**
+ * Handles the MCP handshake, tools, resources and prompts
+ */
+async function dispatchMessage(message, context) {
+  try {
+    // Parse JSON-RPC request
+    const isObject =
+      message !== null && typeof message === "object" && !Array.isArray(message);
+    const { jsonrpc, method, params = {}, id = null } = isObject ? message : {};
+
+    // Validate JSON-RPC version
+    if (jsonrpc !== "2.0") {
+      return {
+        jsonrpc: "2.0",
+        error: {
+          code: -32600,
+          message: 'Invalid Request: jsonrpc must be "2.0"',
+        },
+        id: id,
+      };
+    }
+
+    // Validate method exists
+    if (!method) {
+      return {
+        jsonrpc: "2.0",
+        error: {
+          code: -32600,
+          message: "Invalid Request: method is required",
+        },
+        id: id,
+      };
+    }
+
+    console.log(`JSON-RPC Method: ${method}`, params);
+
+    // Per-key request bucket (notifications can't receive an error)
+    const throttled = method.startsWith("notifications/")
+      ? null
+      : checkRequestLimit(context.apiKey);
+
+    if (throttled) {
+      return {
+        jsonrpc: "2.0",
+        error: throttled,
+        id: id,
+      };
+    }
+
+    const protocolVersion = resolveProtocolVersion(context);
+    const features = protocolFeatures(protocolVersion);
+
+    // ===== INITIALIZE (MCP Handshake) =====
+    if (method === "initialize") {
+      const negotiated = negotiateProtocolVersion(params.protocolVersion);
+
+      if (negotiated !== params.protocolVersion) {
+        console.log(
+          `Client requested protocol ${params.protocolVersion}; offering ${negotiated} (supported: ${SUPPORTED_PROTOCOL_VERSIONS.join(", ")})`
+        );
+      }
+
+      if (context.session) {
+        context.session.clientInfo = params.clientInfo;
+        context.session.protocolVersion = negotiated;
+      }
+
+      return {
+        jsonrpc: "2.0",
+        id: id,
+        result: {
+          protocolVersion: negotiated,
+          capabilities: {
+            tools: {},
+            resources: {
+              subscribe: true,
+            },
+            prompts: {},
+          },
+          serverInfo: {
+            name: "ESPN-NCAA MCP Server",
+            version: "3.0.0",
+          },
+        },
+      };
+    }
+
+    // ===== TOOL DISCOVERY =====
+    if (method === "tools/list") {
+      return {
+        jsonrpc: "2.0",
+        id: id,
+        result: {
+          tools: listTools()
+            .filter((tool) => isToolAllowed(context.apiKey, tool.name))
+            .map((tool) => describeTool(tool, protocolVersion)),
+        },
+      };
+    }
+
+    // ===== TOOL CALLS =====
+    if (method === "tools/call") {
+      const { name, arguments: args } = params;
+
+      if (!name) {
+        return {
+          jsonrpc: "2.0",
+          error: {
+            code: -32602,
+            message: "Invalid params: tool name is required",
+          },
+          id: id,
+        };
+      }
+
+      const tool = getTool(name);
+
+      if (!tool) {
+        return {
+          jsonrpc: "2.0",
+          error: {
+            code: -32601,
+            message: `Unknown tool: ${name}. Use tools/list to see available tools.`,
+          },
+          id: id,
+        };
+      }
+
+      if (!isToolAllowed(context.apiKey, name)) {
+        return {
+          jsonrpc: "2.0",
+          error: {
+            code: AUTH_ERRORS.TOOL_NOT_ALLOWED,
+            message: `Tool ${name} is not allowed for API key "${context.apiKey.name}"`,
+            data: { tool: name },
+          },
+          id: id,
+        };
+      }
+
+      const validation = validateArguments(tool.inputSchema, args ?? {});
+
+      if (!validation.valid) {
+        const violations = validation.errors.map(
+          (e) => `${e.path} ${e.message}`
+        );
+        return {
+          jsonrpc: "2.0",
+          error: {
+            code: -32602,
+            message: `Invalid params for ${name}: ${violations.join("; ")}`,
+            data: {
+              tool: name,
+              violations: validation.errors,
+            },
+          },
+          id: id,
+        };
+      }
+
+      const denied =
+        checkScope(context.apiKey, validation.value) ||
+        (await checkEventScope(context.apiKey, validation.value));
+
+      if (denied) {
+        return {
+          jsonrpc: "2.0",
+          error: { ...denied, data: { tool: name } },
+          id: id,
+        };
+      }
+
+      const toolThrottled = checkToolLimit(context.apiKey, name);
+
+      if (toolThrottled) {
+        return {
+          jsonrpc: "2.0",
+          error: toolThrottled,
+          id: id,
+        };
+      }
+
+      console.log(`Tool call: ${name}`, validation.value);
+
+      // Progress notifications when the client asked for them
+      const progressToken = params._meta?.progressToken;
+      const reportProgress = (progress, message) => {
+        if (progressToken === undefined) return;
+        context.notify("notifications/progress", {
+          progressToken,
+          progress,
+          total: 1,
+          message,
+        });
+      };
+
+      reportProgress(0, `Running ${name}`);
+
+      try {
+        const result = await tool.handler(validation.value);
+        reportProgress(1, `${name} complete`);
+
+        // Handlers return plain text or { text, structuredContent, isError, _meta }
+        const output = typeof result === "string" ? { text: result } : result;
+        const toolResult = {
+          content: [
+            {
+              type: "text",
+              text: output.text,
+            },
+          ],
+        };
+
+        if (output.isError) {
+          toolResult.isError = true;
+        } else if (output.structuredContent && features.structuredOutput) {
+          toolResult.structuredContent = output.structuredContent;
+        }
+
+        if (output._meta) {
+          toolResult._meta = output._meta;
+        }
+
+        return {
+          jsonrpc: "2.0",
+          id: id,
+          result: toolResult,
+        };
+      } catch (error) {
+        console.error(`Tool ${name} error:`, error);
+        return {
+          jsonrpc: "2.0",
+          error: {
+            code: -32000,
+            message: `Tool execution failed: ${error.message}`,
+          },
+          id: id,
+        };
+      }
+    }
+
+    // ===== RESOURCES =====
+    if (method === "resources/list") {
+      return {
+        jsonrpc: "2.0",
+        id: id,
+        result: {
+          resources: listResources().filter(
+            (resource) => !checkScope(context.apiKey, resourceScope(resource.uri))
+          ),
+        },
+      };
+    }
+
+    if (method === "resources/templates/list") {
+      return {
+        jsonrpc: "2.0",
+        id: id,
+        result: {
+          resourceTemplates: listResourceTemplates(),
+        },
+      };
+    }
+
+    if (method === "resources/read") {
+      const { uri } = params;
+
+      if (!uri) {
+        return {
+          jsonrpc: "2.0",
+          error: {
+            code: -32602,
+            message: "Invalid params: uri is required",
+          },
+          id: id,
+        };
+      }
+
+      const scope = resourceScope(uri);
+      const denied =
+        checkScope(context.apiKey, scope) ||
+        (await checkEventScope(context.apiKey, scope));
+
+      if (denied) {
+        return {
+          jsonrpc: "2.0",
+          error: { ...denied, data: { uri } },
+          id: id,
+        };
+      }
+
+      try {
+        return {
+          jsonrpc: "2.0",
+          id: id,
+          result: {
+            contents: await readResource(uri),
+          },
+        };
+      } catch (error) {
+        console.error(`Resource ${uri} error:`, error.message);
+        const notFound = error instanceof ResourceError;
+        return {
+          jsonrpc: "2.0",
+          error: {
+            code: notFound ? error.code : -32603,
+            message: notFound
+              ? error.message
+              : `Resource read failed: ${error.message}`,
+            data: { uri },
+          },
+          id: id,
+        };
+      }
+    }
+
+    if (method === "resources/subscribe" || method === "resources/unsubscribe") {
+      const { uri } = params;
+
+      if (!uri) {
+        return {
+          jsonrpc: "2.0",
+          error: {
+            code: -32602,
+            message: "Invalid params: uri is required",
+          },
+          id: id,
+        };
+      }
+
+      if (!context.session?.send) {
+        return {
+          jsonrpc: "2.0",
+          error: {
+            code: -32600,
+            message:
+              "Subscriptions require a session: call initialize and send the Mcp-Session-Id header",
+          },
+          id: id,
+        };
+      }
+
+      if (method === "resources/unsubscribe") {
+        unsubscribe(uri, context.session);
+        return { jsonrpc: "2.0", id: id, result: {} };
+      }
+
+      const scope = resourceScope(uri);
+      const denied =
+        checkScope(context.apiKey, scope) ||
+        (await checkEventScope(context.apiKey, scope));
+
+      if (denied) {
+        return {
+          jsonrpc: "2.0",
+          error: { ...denied, data: { uri } },
+          id: id,
+        };
+      }
+
+      const subscription = await subscribe(uri, context.session);
+
+      if (subscription.error) {
+        return {
+          jsonrpc: "2.0",
+          error: {
+            code: -32002,
+            message: subscription.message,
+            data: { uri },
+          },
+          id: id,
+        };
+      }
+
+      return { jsonrpc: "2.0", id: id, result: {} };
+    }
+
+    // ===== PROMPTS =====
+    if (method === "prompts/list") {
+      return {
+        jsonrpc: "2.0",
+        id: id,
+        result: {
+          prompts: listPrompts(),
+        },
+      };
+    }
+
+    if (method === "prompts/get") {
+      const { name, arguments: args } = params;
+      const denied = checkScope(context.apiKey, {
+        team: args?.team,
+        sport: args?.sport || "football",
+      });
+
+      if (denied) {
+        return {
+          jsonrpc: "2.0",
+          error: { ...denied, data: { prompt: name } },
+          id: id,
+        };
+      }
+
+      const prompt = await getPrompt(name, args || {});
+
+      if (prompt.error) {
+        return {
+          jsonrpc: "2.0",
+          error: {
+            code: -32602,
+            message: `Invalid params: ${prompt.message}`,
+          },
+          id: id,
+        };
+      }
+
+      return {
+        jsonrpc: "2.0",
+        id: id,
+        result: prompt,
+      };
+    }
+
+    // ===== NOTIFICATIONS =====
+    if (method.startsWith("notifications/")) {
+      return null;
+    }
+
+    // Unknown method
+    return {
+      jsonrpc: "2.0",
+      error: {
+        code: -32601,
+        message: `Method not found: ${method}`,
+      },
+      id: id,
+    };
+  } catch (error) {
+    console.error("MCP endpoint error:", error);
+    return {
+      jsonrpc: "2.0",
+      error: {
+        code: -32603,
+        message: "Internal error",
+        data: error.message,
+      },
+      id: message?.id ?? null,
+    };
+  }
+}
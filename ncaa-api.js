@@ -3,160 +3,150 @@
  * NCAA API INTEGRATION
  * Multi-division coverage for all NCAA sports
  * No API key required - public endpoints
+ *
+ * Divisions and conferences are ESPN `groups` (see sports.js and the team
+ * sync), so a D2 scoreboard really is D2. A conference with no known group
+ * filters by team directory membership.
  */
 
-import fetch from 'node-fetch';
+import { fetchJson } from './upstream.js';
+import { createCache } from './cache.js';
+import { adaptiveTtl, eventTiming, GAME_STATE_TTL } from './game-state.js';
+import { lookupSport, lookupDivision, canonicalConference, findConference } from './sports.js';
+import { conferenceTeamIds, syncedConference, lookupTeam } from './team-directory.js';
 
 const NCAA_BASE_URL = 'https://site.api.espn.com/apis/site/v2/sports';
+const STANDINGS_BASE_URL = 'https://site.api.espn.com/apis/v2/sports';
 
-// Cache configuration
+// Cache configuration (scoreboards use adaptiveTtl from game-state.js)
 const CACHE_DURATION = {
-  SCOREBOARD: 5 * 60 * 1000,      // 5 minutes
-  RANKINGS: 24 * 60 * 60 * 1000   // 24 hours
+  RANKINGS: 24 * 60 * 60 * 1000,  // 24 hours
+  STANDINGS: 60 * 60 * 1000       // 1 hour
 };
 
-const cache = new Map();
+const cache = createCache('ncaa');
 
 /**
- * Sport and division mappings
+ * Fetch from NCAA/ESPN API (timeouts, retries and circuit breaking in upstream.js)
  */
-const SPORT_MAP = {
-  'football': {
-    'fbs': 'football/college-football',
-    'fcs': 'football/college-football',  // FCS is part of college-football API
-    'd2': 'football/college-football',
-    'd3': 'football/college-football'
-  },
-  'basketball': {
-    'fbs': 'basketball/mens-college-basketball',
-    'fcs': 'basketball/mens-college-basketball',
-    'd1': 'basketball/mens-college-basketball',
-    'd2': 'basketball/mens-college-basketball',
-    'd3': 'basketball/mens-college-basketball'
-  },
-  'baseball': {
-    'd1': 'baseball/college-baseball',
-    'd2': 'baseball/college-baseball',
-    'd3': 'baseball/college-baseball'
-  },
-  'softball': {
-    'd1': 'softball/college-softball',
-    'd2': 'softball/college-softball',
-    'd3': 'softball/college-softball'
-  }
-};
-
-/**
- * Fetch from NCAA/ESPN API
- */
-async function fetchNCAA(url) {
+async function fetchNCAA(url, query) {
   console.log(`Fetching NCAA: ${url}`);
   
   try {
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Botosphere-MCP-Server/1.0'
-      }
-    });
-    
-    if (!response.ok) {
-      throw new Error(`NCAA API error: ${response.status} ${response.statusText}`);
-    }
-    
-    return await response.json();
+    return await fetchJson(url, { label: 'NCAA', query });
     
   } catch (error) {
-    console.error('NCAA fetch error:', error);
+    console.error('NCAA fetch error:', error.message);
     throw error;
   }
 }
 
 /**
- * Cache helpers
+ * Sport, division and conference for a request: { sport, division, group,
+ * conference, members } or an error result. A conference filters through
+ * its ESPN group: from sports.js, else from the synced team directory. Only
+ * a conference with no known group falls back to the directory's members in
+ * this sport (members: Set of ESPN ids). Without a division, a conference
+ * picks its own (e.g. "Big Sky" -> fcs).
+ *
+ * With `byName`, a conference nobody knows is not an error: the caller
+ * matches it by name (standings list every conference by name).
  */
-function getCached(key, maxAge) {
-  const cached = cache.get(key);
-  if (!cached) return null;
+function resolveScope(sportName, divisionName, conferenceName, { byName = false } = {}) {
+  const sportLookup = lookupSport(sportName);
+  if (sportLookup.error) {
+    return sportLookup;
+  }
+  const { sport } = sportLookup;
+  
+  const conference = conferenceName ? canonicalConference(conferenceName) : null;
+  const known = conference
+    ? findConference(sport, conference) || syncedConference(sport.id, conference)
+    : null;
   
-  const age = Date.now() - cached.timestamp;
-  if (age > maxAge) {
-    cache.delete(key);
-    return null;
+  const divisionLookup = lookupDivision(sport, divisionName || known?.division);
+  if (divisionLookup.error) {
+    return divisionLookup;
   }
+  const { division, group } = divisionLookup;
   
-  console.log(`Cache hit: ${key}`);
-  return cached.data;
-}
-
-function setCache(key, data) {
-  cache.set(key, {
-    data,
-    timestamp: Date.now()
-  });
+  if (!conference) {
+    return { sport, division, group, conference: null, members: null };
+  }
+  
+  if (known) {
+    if (known.division !== division) {
+      return {
+        error: true,
+        message: `${known.name} plays in ${known.division.toUpperCase()}, not ${division.toUpperCase()}`
+      };
+    }
+    return { sport, division, group: known.group, conference: known.name, members: null };
+  }
+  
+  const members = conferenceTeamIds(conference, sport.id);
+  if (members.size === 0 && byName) {
+    return { sport, division, group, conference, members: null };
+  }
+  if (members.size === 0) {
+    return {
+      error: true,
+      message: `Unknown conference "${conferenceName}" for ${sport.name}`
+    };
+  }
+  return { sport, division, group, conference, members };
 }
 
 /**
- * Get sport path for API
+ * Get NCAA scoreboard for any sport/division, optionally one conference
  */
-function getSportPath(sport, division) {
-  const sportLower = sport.toLowerCase();
-  const divisionLower = division.toLowerCase();
-  
-  if (SPORT_MAP[sportLower] && SPORT_MAP[sportLower][divisionLower]) {
-    return SPORT_MAP[sportLower][divisionLower];
+export async function getNCAAScoreboard(sport = 'football', division = null, date = null, conference = null) {
+  const scope = resolveScope(sport, division, conference);
+  if (scope.error) {
+    return scope;
   }
   
-  // Default to FBS football
-  return 'football/college-football';
+  const dateStr = date || new Date().toISOString().split('T')[0].replace(/-/g, '');
+  const conferenceKey = scope.conference ? scope.conference.toLowerCase().replace(/\W+/g, '-') : 'all';
+  return cache.wrap(`ncaa_scoreboard_${scope.sport.id}_${scope.division}_${conferenceKey}_${dateStr}`, () =>
+    loadNCAAScoreboard(scope, dateStr)
+  );
 }
 
 /**
- * Get NCAA scoreboard for any sport/division
+ * Fetch the day's scoreboard: { value, ttl } or an error result
  */
-export async function getNCAAScoreboard(sport = 'football', division = 'fbs', date = null) {
-  const dateStr = date || new Date().toISOString().split('T')[0].replace(/-/g, '');
-  const cacheKey = `ncaa_scoreboard_${sport}_${division}_${dateStr}`;
-  const cached = getCached(cacheKey, CACHE_DURATION.SCOREBOARD);
-  if (cached) return cached;
+async function loadNCAAScoreboard(scope, dateStr) {
+  const { sport, division, group, conference, members } = scope;
+  const label = conference || division.toUpperCase();
   
   try {
-    const sportPath = getSportPath(sport, division);
-    const url = `${NCAA_BASE_URL}/${sportPath}/scoreboard?dates=${dateStr}`;
+    const url = `${NCAA_BASE_URL}/${sport.espnPath}/scoreboard`;
+    const data = await fetchNCAA(url, { dates: dateStr, groups: group, limit: 500 });
     
-    const data = await fetchNCAA(url);
+    // Conferences without an ESPN group: keep games with a member team
+    const events = (data.events || []).filter(event =>
+      !members || event.competitions?.[0]?.competitors?.some(c => members.has(String(c.team?.id)))
+    );
     
-    if (!data.events || data.events.length === 0) {
+    if (events.length === 0) {
       return {
         error: true,
-        message: `No ${sport} games found for ${division.toUpperCase()} on ${dateStr}`
+        message: `No ${sport.name} games found for ${label} on ${dateStr}`
       };
     }
     
-    // Filter by division if needed
-    let filteredEvents = data.events;
-    
-    if (division === 'fcs') {
-      // FCS teams typically in lower conferences
-      filteredEvents = data.events.filter(event => {
-        const competition = event.competitions?.[0];
-        const homeTeam = competition?.competitors?.find(t => t.homeAway === 'home');
-        const awayTeam = competition?.competitors?.find(t => t.homeAway === 'away');
-        
-        // This is a simplified filter - FCS detection would need conference data
-        // For now, return all games
-        return true;
-      });
-    }
-    
-    const games = filteredEvents.map(event => {
+    const games = events.map(event => {
       const competition = event.competitions[0];
       const homeTeam = competition.competitors.find(t => t.homeAway === 'home');
       const awayTeam = competition.competitors.find(t => t.homeAway === 'away');
       const status = competition.status;
       
       return {
+        id: event.id,
         name: event.name,
         status: status.type.description,
+        state: status.type.state,
         isLive: status.type.state === 'in',
         period: status.period,
         clock: status.displayClock,
@@ -180,18 +170,23 @@ export async function getNCAAScoreboard(sport = 'football', division = 'fbs', da
     });
     
     const result = {
-      sport: sport,
+      sport: sport.id,
       division: division.toUpperCase(),
+      conference,
       date: dateStr,
       games: games
     };
     
-    setCache(cacheKey, result);
-    return result;
+    // Any game live: 1 min. All final: 24h. Otherwise 15 min, or until the next kickoff
+    const ttl = adaptiveTtl(events.map(eventTiming), {
+      idle: GAME_STATE_TTL.SCOREBOARD_IDLE
+    });
+    return { value: result, ttl };
     
   } catch (error) {
     return {
       error: true,
+      upstream: true,
       message: `Failed to get NCAA scoreboard: ${error.message}`
     };
   }
@@ -200,21 +195,30 @@ export async function getNCAAScoreboard(sport = 'football', division = 'fbs', da
 /**
  * Get NCAA rankings
  */
-export async function getNCAAankings(sport = 'football', division = 'fbs', poll = 'ap') {
-  const cacheKey = `ncaa_rankings_${sport}_${division}_${poll}`;
-  const cached = getCached(cacheKey, CACHE_DURATION.RANKINGS);
-  if (cached) return cached;
+export async function getNCAAankings(sport = 'football', division = null, poll = 'ap') {
+  const scope = resolveScope(sport, division);
+  if (scope.error) {
+    return scope;
+  }
   
+  return cache.wrap(`ncaa_rankings_${scope.sport.id}_${scope.division}_${poll}`, () =>
+    loadNCAARankings(scope, poll)
+  );
+}
+
+/**
+ * Fetch the poll: { value, ttl } or an error result
+ */
+async function loadNCAARankings({ sport, division, group }, poll) {
   try {
-    const sportPath = getSportPath(sport, division);
-    const url = `${NCAA_BASE_URL}/${sportPath}/rankings`;
+    const url = `${NCAA_BASE_URL}/${sport.espnPath}/rankings`;
     
-    const data = await fetchNCAA(url);
+    const data = await fetchNCAA(url, { groups: group });
     
     if (!data.rankings || data.rankings.length === 0) {
       return {
         error: true,
-        message: `No rankings available for ${sport} ${division.toUpperCase()}`
+        message: `No rankings available for ${sport.name} ${division.toUpperCase()}`
       };
     }
     
@@ -238,7 +242,7 @@ export async function getNCAAankings(sport = 'football', division = 'fbs', poll
     }));
     
     const result = {
-      sport: sport,
+      sport: sport.id,
       division: division.toUpperCase(),
       poll: ranking.name,
       week: ranking.week,
@@ -246,71 +250,275 @@ export async function getNCAAankings(sport = 'football', division = 'fbs', poll
       teams: teams
     };
     
-    setCache(cacheKey, result);
-    return result;
+    return { value: result, ttl: CACHE_DURATION.RANKINGS };
     
   } catch (error) {
     return {
       error: true,
+      upstream: true,
       message: `Failed to get NCAA rankings: ${error.message}`
     };
   }
 }
 
 /**
- * Get conference standings (useful for all divisions)
+ * Conference standings for a sport / division, ordered by TIEBREAKERS.
+ *
+ * Options:
+ *   division   - as in getNCAAScoreboard (default fbs / d1)
+ *   conference - one conference ("SEC", "Big 12", "B1G", ...)
+ *   team       - one team: its conference, plus { position, ... } for it
+ *
+ * Returns { sport, division, season, conferences: [{ name, abbreviation,
+ * teams }], team } or an error result.
  */
-export async function getConferenceStandings(conference, sport = 'football') {
-  try {
-    const sportPath = getSportPath(sport, 'fbs');
-    const url = `${NCAA_BASE_URL}/${sportPath}/standings`;
-    
-    const data = await fetchNCAA(url);
-    
-    if (!data.children || data.children.length === 0) {
+export async function getStandings(sport = 'football', { division = null, conference = null, team = null } = {}) {
+  const sportLookup = lookupSport(sport);
+  if (sportLookup.error) {
+    return sportLookup;
+  }
+  
+  // A team's own division (from the snapshot) when none is given
+  let teamRecord = null;
+  if (team) {
+    const lookup = lookupTeam(team, { sport: sportLookup.sport.id });
+    if (lookup.error) {
+      return lookup;
+    }
+    teamRecord = lookup.team;
+  }
+  const teamId = teamRecord?.id || null;
+  
+  const scope = resolveScope(
+    sport,
+    division || teamRecord?.divisions?.[sportLookup.sport.id],
+    conference,
+    { byName: true }
+  );
+  if (scope.error) {
+    return scope;
+  }
+  
+  // Standings come per division; the conference is picked out below
+  const standings = await cache.wrap(`standings_${scope.sport.id}_${scope.division}`, () =>
+    loadStandings({ ...scope, group: scope.sport.divisions[scope.division] })
+  );
+  if (standings.error) {
+    return standings;
+  }
+  
+  let conferences = standings.conferences;
+  
+  if (conference) {
+    conferences = conferences.filter(group => isConference(group, conference));
+    if (conferences.length === 0) {
       return {
         error: true,
-        message: 'No standings data available'
+        message: `Conference "${conference}" not found in ${scope.sport.name} ${scope.division.toUpperCase()} standings`
       };
     }
+  }
+  
+  let teamStanding = null;
+  if (teamId) {
+    conferences = conferences.filter(group => group.teams.some(row => row.id === teamId));
+    if (conferences.length === 0) {
+      return {
+        error: true,
+        message: `${team} is not in the ${conference || scope.division.toUpperCase()} standings`
+      };
+    }
+    teamStanding = {
+      conference: conferences[0].name,
+      ...conferences[0].teams.find(row => row.id === teamId)
+    };
+  }
+  
+  return { ...standings, conferences, team: teamStanding };
+}
+
+/**
+ * Fetch and rank every conference in the division: { value, ttl } or an error result
+ */
+async function loadStandings({ sport, division, group }) {
+  try {
+    const url = `${STANDINGS_BASE_URL}/${sport.espnPath}/standings`;
+    const data = await fetchNCAA(url, { group });
     
-    // Find the requested conference
-    const conferenceLower = conference.toLowerCase();
-    const conferenceData = data.children.find(c => 
-      c.name.toLowerCase().includes(conferenceLower)
-    );
+    const conferences = (data.children || [])
+      .map(node => ({
+        name: node.name,
+        abbreviation: node.abbreviation || null,
+        teams: rankStandings(standingEntries(node).map(standingRow))
+      }))
+      .filter(group => group.teams.length > 0);
     
-    if (!conferenceData) {
+    if (conferences.length === 0) {
       return {
         error: true,
-        message: `Conference "${conference}" not found`
+        message: `No standings available for ${sport.name} ${division.toUpperCase()}`
       };
     }
     
-    const standings = conferenceData.standings.entries.map(entry => ({
-      team: entry.team.displayName,
-      record: entry.stats.find(s => s.name === 'overall')?.displayValue,
-      conferenceRecord: entry.stats.find(s => s.name === 'vs. Conf.')?.displayValue,
-      streak: entry.stats.find(s => s.name === 'streak')?.displayValue
-    }));
-    
-    return {
-      conference: conferenceData.name,
-      standings: standings
+    const result = {
+      sport: sport.id,
+      division: division.toUpperCase(),
+      season: data.season?.year || data.children?.[0]?.standings?.season || null,
+      conferences
     };
     
+    return { value: result, ttl: CACHE_DURATION.STANDINGS };
+    
   } catch (error) {
     return {
       error: true,
+      upstream: true,
       message: `Failed to get standings: ${error.message}`
     };
   }
 }
 
+/**
+ * Entries of a conference, including those nested in its divisions
+ */
+function standingEntries(node) {
+  return [
+    ...(node.standings?.entries || []),
+    ...(node.children || []).flatMap(standingEntries)
+  ];
+}
+
+function isConference(group, name) {
+  const wanted = canonicalConference(name).toLowerCase();
+  const names = [group.name, group.name.replace(/\s+conference$/i, ''), group.abbreviation];
+  return names.some(candidate => candidate && canonicalConference(candidate).toLowerCase() === wanted);
+}
+
+/**
+ * ESPN entry -> numeric standings row. ESPN names these stats differently
+ * per sport, so each field tries a few names and falls back to "W-L" summaries.
+ */
+function standingRow(entry) {
+  const stats = new Map();
+  for (const stat of entry.stats || []) {
+    for (const key of [stat.name, stat.type, stat.abbreviation]) {
+      if (key && !stats.has(key.toLowerCase())) stats.set(key.toLowerCase(), stat);
+    }
+  }
+  const find = (...keys) => keys.map(key => stats.get(key)).find(Boolean);
+  const number = (...keys) => {
+    const value = Number(find(...keys)?.value);
+    return isFinite(value) ? value : null;
+  };
+  
+  const overall = parseRecord(find('overall', 'total'));
+  const conference = parseRecord(find('vsconf', 'vs. conf.', 'conference'));
+  const wins = number('wins') ?? overall.wins;
+  const losses = number('losses') ?? overall.losses;
+  const pointsFor = number('pointsfor');
+  const pointsAgainst = number('pointsagainst');
+  
+  return {
+    id: String(entry.team.id),
+    team: entry.team.displayName,
+    abbreviation: entry.team.abbreviation || null,
+    wins,
+    losses,
+    ties: number('ties') ?? overall.ties,
+    conferenceWins: number('vsconf_wins', 'conferencewins') ?? conference.wins,
+    conferenceLosses: number('vsconf_losses', 'conferencelosses') ?? conference.losses,
+    pointsFor,
+    pointsAgainst,
+    pointDifferential: pointsFor !== null && pointsAgainst !== null ? pointsFor - pointsAgainst : null,
+    streak: parseStreak(find('streak'))
+  };
+}
+
+/**
+ * "7-1" / "7-1-1" summary -> { wins, losses, ties }
+ */
+function parseRecord(stat) {
+  const match = String(stat?.summary || stat?.displayValue || '').match(/^(\d+)-(\d+)(?:-(\d+))?/);
+  if (!match) return { wins: null, losses: null, ties: null };
+  return { wins: Number(match[1]), losses: Number(match[2]), ties: match[3] ? Number(match[3]) : 0 };
+}
+
+/**
+ * "W3" -> 3, "L2" -> -2
+ */
+function parseStreak(stat) {
+  const match = String(stat?.displayValue || '').match(/^([WLT])(\d+)/i);
+  if (match) {
+    const length = Number(match[2]);
+    return match[1].toUpperCase() === 'L' ? -length : match[1].toUpperCase() === 'W' ? length : 0;
+  }
+  const value = Number(stat?.value);
+  return isFinite(value) ? value : null;
+}
+
+function winPercent(wins, losses, ties = 0) {
+  const games = (wins || 0) + (losses || 0) + (ties || 0);
+  return games > 0 ? ((wins || 0) + (ties || 0) / 2) / games : 0;
+}
+
+/**
+ * Standings order, best first. Each rule only decides when every rule
+ * before it is tied. Head-to-head and the conferences' own multi-team
+ * rules need results the standings feed doesn't carry, so they aren't
+ * applied.
+ */
+const TIEBREAKERS = [
+  {
+    name: 'conference win percentage',
+    compare: (a, b) => winPercent(b.conferenceWins, b.conferenceLosses) - winPercent(a.conferenceWins, a.conferenceLosses)
+  },
+  {
+    name: 'more conference wins',
+    compare: (a, b) => (b.conferenceWins || 0) - (a.conferenceWins || 0)
+  },
+  {
+    name: 'overall win percentage',
+    compare: (a, b) => winPercent(b.wins, b.losses, b.ties) - winPercent(a.wins, a.losses, a.ties)
+  },
+  {
+    name: 'point differential',
+    compare: (a, b) => (b.pointDifferential || 0) - (a.pointDifferential || 0)
+  },
+  {
+    name: 'points scored',
+    compare: (a, b) => (b.pointsFor || 0) - (a.pointsFor || 0)
+  }
+];
+
+/**
+ * Sort rows and number them. `tiebreaker` names the rule that put a team
+ * below the one above it when conference win percentage didn't; teams
+ * nothing separates share a position.
+ */
+function rankStandings(rows) {
+  const decidingRule = (a, b) => TIEBREAKERS.find(rule => rule.compare(a, b) !== 0);
+  
+  const sorted = [...rows].sort((a, b) => {
+    const rule = decidingRule(a, b);
+    return rule ? rule.compare(a, b) : a.team.localeCompare(b.team);
+  });
+  
+  let position = 0;
+  return sorted.map((row, i) => {
+    const rule = i > 0 ? decidingRule(sorted[i - 1], row) : null;
+    if (i === 0 || rule) position = i + 1;
+    
+    return {
+      position,
+      tiebreaker: rule && rule !== TIEBREAKERS[0] ? rule.name : null,
+      ...row
+    };
+  });
+}
+
 /**
  * Clear NCAA cache
  */
-export function clearCache() {
-  cache.clear();
-  console.log('NCAA cache cleared');
+export async function clearCache() {
+  await cache.clear();
 }
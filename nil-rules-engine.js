@@ -9,6 +9,7 @@
  */
 
 import { getCurrentGame } from "./espn-api.js";
+import { getTeamScore, scoreChanged } from "./game-state.js";
 
 // ── SCHOOL CONFIG ─────────────────────────────────────────────────────────────
 
@@ -138,28 +139,6 @@ async function suggestNilEvent(school, trigger, message, nilUrl, context) {
 
 // ── SCORE ANALYSIS ────────────────────────────────────────────────────────────
 
-function getTeamScore(game, espnTeam) {
-  const name = espnTeam.toLowerCase();
-  const home = game.homeTeam?.name?.toLowerCase() || "";
-  const away = game.awayTeam?.name?.toLowerCase() || "";
-
-  if (home.includes(name) || name.includes(home.split(" ").pop())) {
-    return {
-      myScore:  parseInt(game.homeTeam?.score?.displayValue || game.homeTeam?.score?.value || 0),
-      oppScore: parseInt(game.awayTeam?.score?.displayValue || game.awayTeam?.score?.value || 0),
-      myName:   game.homeTeam?.name,
-      oppName:  game.awayTeam?.name,
-    };
-  } else {
-    return {
-      myScore:  parseInt(game.awayTeam?.score?.displayValue || game.awayTeam?.score?.value || 0),
-      oppScore: parseInt(game.homeTeam?.score?.displayValue || game.homeTeam?.score?.value || 0),
-      myName:   game.awayTeam?.name,
-      oppName:  game.homeTeam?.name,
-    };
-  }
-}
-
 async function checkSchool(school, config) {
   if (!config.enabled) return;
 
@@ -179,7 +158,7 @@ async function checkSchool(school, config) {
       return;
     }
 
-    if (myScore === prev.myScore && oppScore === prev.oppScore) return;
+    if (!scoreChanged(prev, { myScore, oppScore })) return;
 
     const teamName = myName || config.espn_team;
     const cooldown = config.cooldown_minutes;
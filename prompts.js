@@ -0,0 +1,252 @@
+/**
+ * MCP PROMPTS
+ * Game-day prompt templates with live ESPN data attached as embedded
+ * resources, so every client gets the same pregame / live / postgame voice.
+ *
+ *   pregame_preview    - next (or dated) game: schedule + poll context
+ *   live_game_checkin  - current score, situation and box score
+ *   postgame_recap     - final score, box score and poll context
+ */
+
+import { getScoreboard } from "./espn-api.js";
+import { findTeam } from "./team-directory.js";
+import {
+  readResource,
+  resolveResource,
+  teamGameUri,
+  teamScheduleUri,
+  rankingsUri,
+  boxscoreUri,
+} from "./resources.js";
+
+const MIME_TYPE = "application/json";
+
+const COMMON_ARGUMENTS = [
+  {
+    name: "team",
+    description: 'Team name (e.g., "oklahoma", "texas", "alabama")',
+    required: true,
+  },
+  {
+    name: "sport",
+    description: 'Sport type (default: "football")',
+    required: false,
+  },
+  {
+    name: "date",
+    description: "Game date in YYYYMMDD format (default: next / most recent game)",
+    required: false,
+  },
+];
+
+const PROMPTS = [
+  {
+    name: "pregame_preview",
+    description:
+      "Preview a team's upcoming game: opponent, kickoff, TV, venue and ranking storylines.",
+    arguments: COMMON_ARGUMENTS,
+    build: buildPregamePreview,
+  },
+  {
+    name: "live_game_checkin",
+    description:
+      "Check in on a team's game in progress: score, situation, momentum and standout players.",
+    arguments: COMMON_ARGUMENTS.filter((arg) => arg.name !== "date"),
+    build: buildLiveGameCheckin,
+  },
+  {
+    name: "postgame_recap",
+    description:
+      "Recap a team's most recent (or dated) game: result, key performers and what it means in the polls.",
+    arguments: COMMON_ARGUMENTS,
+    build: buildPostgameRecap,
+  },
+];
+
+/**
+ * prompts/list
+ */
+export function listPrompts() {
+  return PROMPTS.map(({ name, description, arguments: args }) => ({
+    name,
+    description,
+    arguments: args,
+  }));
+}
+
+/**
+ * prompts/get - returns { description, messages } or { error, message }
+ */
+export async function getPrompt(name, args = {}) {
+  const prompt = PROMPTS.find((p) => p.name === name);
+  if (!prompt) {
+    return {
+      error: true,
+      message: `Unknown prompt: ${name}. Use prompts/list to see available prompts.`,
+    };
+  }
+
+  const missing = prompt.arguments
+    .filter((arg) => arg.required && !args[arg.name])
+    .map((arg) => arg.name);
+  if (missing.length > 0) {
+    return {
+      error: true,
+      message: `Missing required argument(s) for ${name}: ${missing.join(", ")}`,
+    };
+  }
+
+  if (args.date && !/^\d{8}$/.test(args.date)) {
+    return {
+      error: true,
+      message: `Invalid date "${args.date}". Use YYYYMMDD.`,
+    };
+  }
+
+  const messages = await prompt.build({
+    team: args.team,
+    sport: (args.sport || "football").toLowerCase(),
+    date: args.date,
+  });
+
+  return {
+    description: prompt.description,
+    messages,
+  };
+}
+
+// ── MESSAGE HELPERS ───────────────────────────────────────────────────────────
+
+function textMessage(text) {
+  return { role: "user", content: { type: "text", text } };
+}
+
+function resourceMessage(uri, data) {
+  return {
+    role: "user",
+    content: {
+      type: "resource",
+      resource: { uri, mimeType: MIME_TYPE, text: JSON.stringify(data, null, 2) },
+    },
+  };
+}
+
+/**
+ * Embed a resource by URI. A failed fetch becomes a short note instead of
+ * failing the whole prompt — the model can still work with what it has.
+ */
+async function embed(uri) {
+  try {
+    const [contents] = await readResource(uri);
+    return { role: "user", content: { type: "resource", resource: contents } };
+  } catch (err) {
+    return textMessage(`(Data unavailable for ${uri}: ${err.message})`);
+  }
+}
+
+function formatDate(date) {
+  return `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+}
+
+/**
+ * Box scores come from the college football summary endpoint
+ */
+function hasBoxscore(sport, eventId) {
+  return sport === "football" && Boolean(eventId);
+}
+
+// ── PROMPT BUILDERS ───────────────────────────────────────────────────────────
+
+async function buildPregamePreview({ team, sport, date }) {
+  const target = date
+    ? `their ${sport} game on ${formatDate(date)}`
+    : `their next ${sport} game`;
+
+  const instructions = [
+    `You are a game-day analyst previewing ${team}'s upcoming matchup.`,
+    `Using the attached schedule and AP poll, preview ${target}.`,
+    "Cover: opponent, date and kickoff time, venue, TV network, both teams' rankings and records, and two or three storylines to watch.",
+    "Keep it upbeat and conversational, under 200 words. Only state facts that appear in the attached data.",
+  ].join("\n");
+
+  return [
+    textMessage(instructions),
+    await embed(teamScheduleUri(team, sport)),
+    await embed(rankingsUri(sport, "ap")),
+  ];
+}
+
+async function buildLiveGameCheckin({ team, sport }) {
+  const gameUri = teamGameUri(team, sport);
+  const messages = [
+    textMessage(
+      [
+        `You are checking in on ${team}'s ${sport} game for fans following along.`,
+        "Using the attached game data, give the current score, period and clock, who has the momentum, and any standout individual performances from the box score.",
+        "If the game is not live, say so plainly and give the most recent result instead.",
+        "Keep it to three or four punchy sentences.",
+      ].join("\n")
+    ),
+  ];
+
+  try {
+    const data = await resolveResource(gameUri);
+    messages.push(resourceMessage(gameUri, data));
+
+    if (hasBoxscore(sport, data.game?.id)) {
+      messages.push(await embed(boxscoreUri(data.game.id)));
+    }
+  } catch (err) {
+    messages.push(textMessage(`(Data unavailable for ${gameUri}: ${err.message})`));
+  }
+
+  return messages;
+}
+
+async function buildPostgameRecap({ team, sport, date }) {
+  const messages = [
+    textMessage(
+      [
+        `You are writing a postgame recap of ${team}'s ${sport} game.`,
+        "Using the attached data, cover the final score, how the game was decided, the top performers from the box score, and what the result means for the team's ranking.",
+        "Write two short paragraphs. Only state facts that appear in the attached data.",
+      ].join("\n")
+    ),
+  ];
+
+  let eventId = null;
+
+  if (date) {
+    const scoreboard = await getScoreboard(sport, date);
+    const known = findTeam(team);
+    const needle = team.toLowerCase();
+    const isTeam = (side) =>
+      known ? side.name === known.displayName : side.name?.toLowerCase().includes(needle);
+    const game = scoreboard.error
+      ? null
+      : scoreboard.games.find((g) => isTeam(g.homeTeam) || isTeam(g.awayTeam));
+
+    if (game) {
+      eventId = game.id;
+      messages.push(textMessage(`Final from ${formatDate(date)}:\n${JSON.stringify(game, null, 2)}`));
+    } else {
+      messages.push(textMessage(`(No ${sport} game found for ${team} on ${formatDate(date)})`));
+    }
+  } else {
+    const gameUri = teamGameUri(team, sport);
+    try {
+      const data = await resolveResource(gameUri);
+      eventId = data.game?.id;
+      messages.push(resourceMessage(gameUri, data));
+    } catch (err) {
+      messages.push(textMessage(`(Data unavailable for ${gameUri}: ${err.message})`));
+    }
+  }
+
+  if (hasBoxscore(sport, eventId)) {
+    messages.push(await embed(boxscoreUri(eventId)));
+  }
+  messages.push(await embed(rankingsUri(sport, "ap")));
+
+  return messages;
+}
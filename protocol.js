@@ -0,0 +1,56 @@
+/**
+ * MCP PROTOCOL VERSIONS
+ * Version negotiation and the per-version feature gates the dispatcher uses.
+ *
+ *   2025-06-18  structured tool output, tool titles; JSON-RPC batching removed
+ *   2025-03-26  tool annotations, JSON-RPC batching, Streamable HTTP
+ *   2024-11-05  original release
+ */
+
+export const SUPPORTED_PROTOCOL_VERSIONS = [
+  "2025-06-18",
+  "2025-03-26",
+  "2024-11-05",
+];
+
+export const LATEST_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
+
+// Streamable HTTP: a request without MCP-Protocol-Version (and no
+// negotiated session) is treated as 2025-03-26
+export const DEFAULT_PROTOCOL_VERSION = "2025-03-26";
+
+export function isSupportedProtocolVersion(version) {
+  return SUPPORTED_PROTOCOL_VERSIONS.includes(version);
+}
+
+/**
+ * initialize: echo the client's version if we support it, otherwise offer
+ * our latest and let the client decide whether to disconnect
+ */
+export function negotiateProtocolVersion(requested) {
+  return isSupportedProtocolVersion(requested) ? requested : LATEST_PROTOCOL_VERSION;
+}
+
+/**
+ * Version in effect for a request: negotiated on the session, else the
+ * transport-supplied header, else the default
+ */
+export function resolveProtocolVersion(context = {}) {
+  return (
+    context.session?.protocolVersion ||
+    context.protocolVersion ||
+    DEFAULT_PROTOCOL_VERSION
+  );
+}
+
+/**
+ * Feature gates for a protocol version (dates compare lexically)
+ */
+export function protocolFeatures(version) {
+  return {
+    structuredOutput: version >= "2025-06-18",
+    toolTitles: version >= "2025-06-18",
+    toolAnnotations: version >= "2025-03-26",
+    batching: version < "2025-06-18",
+  };
+}
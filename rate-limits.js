@@ -0,0 +1,211 @@
+/**
+ * RATE LIMITS & USAGE
+ * Token buckets per API key and per key+tool, a daily tool-call quota per
+ * key, and the call counters behind GET /usage.
+ *
+ *   key bucket   - every JSON-RPC request from the key
+ *   tool bucket  - tools/call for one tool (protects ESPN from one noisy bot)
+ *   daily quota  - tools/call per UTC day
+ *
+ * Defaults (per key, overridable per key in the key store):
+ *   MCP_RATE_LIMIT       requests/minute per key        (default 120)
+ *   MCP_TOOL_RATE_LIMIT  tool calls/minute per tool      (default 30)
+ *   MCP_DAILY_QUOTA      tool calls/day, 0 = unlimited  (default 0)
+ *
+ * State is in memory: counters reset when the server restarts.
+ */
+
+// JSON-RPC error codes for throttling
+export const RATE_LIMIT_ERRORS = {
+  RATE_LIMITED: -32029,
+  QUOTA_EXCEEDED: -32030,
+};
+
+const DEFAULT_RATE_LIMIT = Number(process.env.MCP_RATE_LIMIT) || 120;
+const DEFAULT_TOOL_RATE_LIMIT = Number(process.env.MCP_TOOL_RATE_LIMIT) || 30;
+const DEFAULT_DAILY_QUOTA = Number(process.env.MCP_DAILY_QUOTA) || 0;
+
+const buckets = new Map(); // "key" | "key:tool" -> { tokens, updatedAt }
+const usage = new Map(); // key name -> usage record
+const trackingSince = new Date().toISOString();
+
+// ── TOKEN BUCKETS ─────────────────────────────────────────────────────────────
+
+/**
+ * Take one token. Returns 0 on success, otherwise seconds until a token
+ * is available.
+ */
+function takeToken(bucketId, { perMinute, burst }) {
+  const now = Date.now();
+  const refillPerMs = perMinute / 60000;
+  const bucket = buckets.get(bucketId) || { tokens: burst, updatedAt: now };
+
+  bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+  bucket.updatedAt = now;
+  buckets.set(bucketId, bucket);
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return 0;
+  }
+
+  return Math.ceil((1 - bucket.tokens) / refillPerMs / 1000);
+}
+
+function keyRateLimit(key) {
+  return key.limits?.rateLimit || { perMinute: DEFAULT_RATE_LIMIT, burst: DEFAULT_RATE_LIMIT };
+}
+
+function toolRateLimit(key, toolName) {
+  return (
+    key.limits?.toolRateLimits?.[toolName] || {
+      perMinute: DEFAULT_TOOL_RATE_LIMIT,
+      burst: DEFAULT_TOOL_RATE_LIMIT,
+    }
+  );
+}
+
+function dailyQuota(key) {
+  return key.limits?.dailyQuota ?? DEFAULT_DAILY_QUOTA;
+}
+
+// ── USAGE ─────────────────────────────────────────────────────────────────────
+
+function utcDay(time = Date.now()) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight() {
+  const date = new Date();
+  date.setUTCHours(24, 0, 0, 0);
+  return date;
+}
+
+function emptyCounts() {
+  return { requests: 0, toolCalls: 0, throttled: 0, tools: {} };
+}
+
+/**
+ * Usage record for a key, rolling "today" over at UTC midnight
+ */
+function usageFor(keyName) {
+  let record = usage.get(keyName);
+  if (!record) {
+    record = { day: utcDay(), today: emptyCounts(), total: emptyCounts() };
+    usage.set(keyName, record);
+  }
+
+  if (record.day !== utcDay()) {
+    record.day = utcDay();
+    record.today = emptyCounts();
+  }
+  return record;
+}
+
+function count(record, field, toolName) {
+  for (const counts of [record.today, record.total]) {
+    counts[field]++;
+    if (toolName) {
+      counts.tools[toolName] = (counts.tools[toolName] || 0) + 1;
+    }
+  }
+}
+
+function throttled(key, code, message, retryAfter, data) {
+  count(usageFor(key.name), "throttled");
+  console.log(`[Rate Limit] ${key.name}: ${message}`);
+
+  return {
+    code,
+    message,
+    data: {
+      retryAfter,
+      retryAt: new Date(Date.now() + retryAfter * 1000).toISOString(),
+      ...data,
+    },
+  };
+}
+
+// ── CHECKS ────────────────────────────────────────────────────────────────────
+
+/**
+ * Every request from a key. Returns null when allowed, or a JSON-RPC error
+ * { code, message, data: { retryAfter, ... } }. No key (stdio) is never limited.
+ */
+export function checkRequestLimit(key) {
+  if (!key) return null;
+
+  const limit = keyRateLimit(key);
+  const retryAfter = takeToken(key.name, limit);
+
+  if (retryAfter > 0) {
+    return throttled(
+      key,
+      RATE_LIMIT_ERRORS.RATE_LIMITED,
+      `Rate limit exceeded for API key "${key.name}" (${limit.perMinute}/min). Retry in ${retryAfter}s.`,
+      retryAfter,
+      { scope: "key", limit: limit.perMinute }
+    );
+  }
+
+  count(usageFor(key.name), "requests");
+  return null;
+}
+
+/**
+ * tools/call: daily quota, then the per-tool bucket. Counts the call on success.
+ */
+export function checkToolLimit(key, toolName) {
+  if (!key) return null;
+
+  const record = usageFor(key.name);
+  const quota = dailyQuota(key);
+
+  if (quota > 0 && record.today.toolCalls >= quota) {
+    const resetAt = nextUtcMidnight();
+    return throttled(
+      key,
+      RATE_LIMIT_ERRORS.QUOTA_EXCEEDED,
+      `Daily quota of ${quota} tool calls exhausted for API key "${key.name}". Resets at ${resetAt.toISOString()}.`,
+      Math.ceil((resetAt - Date.now()) / 1000),
+      { scope: "daily", limit: quota }
+    );
+  }
+
+  const limit = toolRateLimit(key, toolName);
+  const retryAfter = takeToken(`${key.name}:${toolName}`, limit);
+
+  if (retryAfter > 0) {
+    return throttled(
+      key,
+      RATE_LIMIT_ERRORS.RATE_LIMITED,
+      `Rate limit exceeded for ${toolName} on API key "${key.name}" (${limit.perMinute}/min). Retry in ${retryAfter}s.`,
+      retryAfter,
+      { scope: "tool", tool: toolName, limit: limit.perMinute }
+    );
+  }
+
+  count(record, "toolCalls", toolName);
+  return null;
+}
+
+/**
+ * Usage summary for GET /usage: one entry per given key record
+ */
+export function getUsageSummary(keys) {
+  const summary = keys.map((key) => {
+    const record = usageFor(key.name);
+    const quota = dailyQuota(key);
+
+    return {
+      key: key.name,
+      day: record.day,
+      today: record.today,
+      total: record.total,
+      dailyQuota: quota > 0 ? quota : null,
+      remainingToday: quota > 0 ? Math.max(0, quota - record.today.toolCalls) : null,
+    };
+  });
+
+  return { since: trackingSince, keys: summary };
+}
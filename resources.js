@@ -0,0 +1,220 @@
+/**
+ * MCP RESOURCES
+ * Live sports context clients can attach without a tool call
+ *
+ *   espn://team/{team}/game            - current or most recent game (getCurrentGame)
+ *   espn://team/{team}/schedule        - upcoming games (getTeamSchedule)
+ *   espn://rankings/{sport}/{poll}     - AP / Coaches poll (getRankings)
+ *   espn://event/{eventId}/boxscore    - per-game player stats (getGamePlayerStats)
+ *
+ * Team URIs take an optional ?sport= query (default football).
+ */
+
+import { getCurrentGame, getTeamSchedule, getRankings } from "./espn-api.js";
+import { getGamePlayerStats } from "./espn-player.js";
+
+const MIME_TYPE = "application/json";
+
+// Teams surfaced in resources/list (the schools we run bots for)
+const FEATURED_TEAMS = ["oklahoma", "oklahoma state", "texas"];
+
+const FEATURED_POLLS = [
+  { sport: "football", poll: "ap" },
+  { sport: "football", poll: "coaches" },
+  { sport: "basketball", poll: "ap" },
+];
+
+/**
+ * Resource not found. Carries the MCP error code so the dispatcher can
+ * surface it as-is; anything else thrown while reading is an internal error.
+ */
+export class ResourceError extends Error {
+  constructor(message, uri) {
+    super(message);
+    this.name = "ResourceError";
+    this.code = -32002;
+    this.uri = uri;
+  }
+}
+
+const TEMPLATES = [
+  {
+    kind: "game",
+    uriTemplate: "espn://team/{team}/game{?sport}",
+    name: "Team current game",
+    description:
+      'Live score if the team is playing, otherwise the most recent final. Optional ?sport= (default "football"). Subscribe to get notifications/resources/updated on every score, period or clock change.',
+    read: async ({ team, sport = "football" }) => getCurrentGame(team, sport),
+  },
+  {
+    kind: "schedule",
+    uriTemplate: "espn://team/{team}/schedule{?sport}",
+    name: "Team schedule",
+    description:
+      'Upcoming games for a team: dates, opponents, venue and TV. {team} is any team name get_score accepts (e.g., "oklahoma"); optional ?sport= (default "football").',
+    read: async ({ team, sport = "football" }) => getTeamSchedule(team, sport, 20),
+  },
+  {
+    kind: "rankings",
+    uriTemplate: "espn://rankings/{sport}/{poll}",
+    name: "Poll rankings",
+    description:
+      'Current poll rankings. {sport}: any get_rankings sport (e.g., "football", "basketball", "softball"); {poll}: "ap" or "coaches".',
+    read: async ({ sport, poll }) => getRankings(sport, poll),
+  },
+  {
+    kind: "boxscore",
+    uriTemplate: "espn://event/{eventId}/boxscore",
+    name: "Game box score",
+    description:
+      "Per-game player statistics by team and category for an ESPN event ID.",
+    read: async ({ eventId }) => getGamePlayerStats(eventId),
+  },
+].map((template) => ({
+  ...template,
+  mimeType: MIME_TYPE,
+  ...compileTemplate(template.uriTemplate),
+}));
+
+/**
+ * Turn "espn://team/{team}/schedule{?sport}" into a matcher + parameter list.
+ * Supports simple {var} path segments and one optional {?var} query.
+ */
+function compileTemplate(uriTemplate) {
+  const params = [];
+  const escape = (text) => text.replace(/[.*+?^$()|[\]\\]/g, "\\$&");
+  let source = "";
+  let last = 0;
+
+  for (const match of uriTemplate.matchAll(/\{(\?)?(\w+)\}/g)) {
+    const [token, query, name] = match;
+    source += escape(uriTemplate.slice(last, match.index));
+    source += query ? `(?:\\?${name}=([^&]*))?` : "([^/?]+)";
+    params.push(name);
+    last = match.index + token.length;
+  }
+  source += escape(uriTemplate.slice(last));
+
+  return { params, pattern: new RegExp(`^${source}$`) };
+}
+
+function matchTemplate(uri) {
+  for (const template of TEMPLATES) {
+    const match = template.pattern.exec(uri);
+    if (!match) continue;
+
+    const values = {};
+    template.params.forEach((name, i) => {
+      if (match[i + 1] !== undefined) {
+        values[name] = decodeURIComponent(match[i + 1]);
+      }
+    });
+    return { template, values };
+  }
+  return null;
+}
+
+function sportQuery(sport) {
+  return sport && sport !== "football" ? `?sport=${encodeURIComponent(sport)}` : "";
+}
+
+export function teamGameUri(team, sport) {
+  return `espn://team/${encodeURIComponent(team)}/game${sportQuery(sport)}`;
+}
+
+export function teamScheduleUri(team, sport) {
+  return `espn://team/${encodeURIComponent(team)}/schedule${sportQuery(sport)}`;
+}
+
+export function rankingsUri(sport, poll) {
+  return `espn://rankings/${sport}/${poll}`;
+}
+
+export function boxscoreUri(eventId) {
+  return `espn://event/${eventId}/boxscore`;
+}
+
+/**
+ * resources/templates/list
+ */
+export function listResourceTemplates() {
+  return TEMPLATES.map(({ uriTemplate, name, description, mimeType }) => ({
+    uriTemplate,
+    name,
+    description,
+    mimeType,
+  }));
+}
+
+/**
+ * resources/list - concrete, always-available resources
+ */
+export function listResources() {
+  const games = FEATURED_TEAMS.map((team) => ({
+    uri: teamGameUri(team),
+    name: `${team} current game`,
+    description: `Live or most recent football game for ${team}`,
+    mimeType: MIME_TYPE,
+  }));
+
+  const schedules = FEATURED_TEAMS.map((team) => ({
+    uri: teamScheduleUri(team),
+    name: `${team} schedule`,
+    description: `Upcoming football games for ${team}`,
+    mimeType: MIME_TYPE,
+  }));
+
+  const polls = FEATURED_POLLS.map(({ sport, poll }) => ({
+    uri: rankingsUri(sport, poll),
+    name: `${sport} ${poll} poll`,
+    description: `Current ${poll.toUpperCase()} ${sport} rankings`,
+    mimeType: MIME_TYPE,
+  }));
+
+  return [...games, ...polls, ...schedules];
+}
+
+/**
+ * Parse a resource URI into its template kind and parameters,
+ * e.g. espn://team/oklahoma/game -> { kind: "game", values: { team: "oklahoma" } }
+ */
+export function parseResourceUri(uri) {
+  const matched = matchTemplate(uri);
+  if (!matched) return null;
+  return { kind: matched.template.kind, values: matched.values };
+}
+
+/**
+ * Fetch the data behind a URI (unserialized). Throws a ResourceError when
+ * there is nothing at the URI (unknown team, no games, ...) and a plain
+ * Error when ESPN failed, so the two get different MCP error codes.
+ */
+export async function resolveResource(uri) {
+  const matched = matchTemplate(uri);
+  if (!matched) {
+    throw new ResourceError(`Resource not found: ${uri}`, uri);
+  }
+
+  const data = await matched.template.read(matched.values);
+  if (data?.error) {
+    if (data.upstream) throw new Error(data.message);
+    throw new ResourceError(data.message, uri);
+  }
+
+  return data;
+}
+
+/**
+ * resources/read - resolve a URI and return MCP contents
+ */
+export async function readResource(uri) {
+  const data = await resolveResource(uri);
+
+  return [
+    {
+      uri,
+      mimeType: MIME_TYPE,
+      text: JSON.stringify(data, null, 2),
+    },
+  ];
+}
@@ -8,27 +8,25 @@
 import express from "express";
 import cors from "cors";
 
-import {
-  getCurrentGame,
-  getTeamSchedule,
-  getScoreboard,
-  getRankings,
-  clearCache as clearESPNCache,
-} from "./espn-api.js";
-
-import {
-  getNCAAScoreboard,
-  getNCAAankings,
-  getConferenceStandings,
-  clearCache as clearNCAACache,
-} from "./ncaa-api.js";
-
-import { getGamePlayerStats } from "./espn-player.js";
+import { clearAllCaches, getCacheStats, listCacheEntries } from "./cache.js";
+import { getCacheSummary, invalidate, warm } from "./cache-admin.js";
 import { startRulesEngine, fireNilTrigger } from "./nil-rules-engine.js";
+import { createMcpRouter, getSessionCount } from "./http-transport.js";
+import { handleRpcPayload } from "./mcp-core.js";
+import { listTools, toolsBySource } from "./tools/index.js";
+import { getSubscriptionStats } from "./subscriptions.js";
+import { SUPPORTED_PROTOCOL_VERSIONS } from "./protocol.js";
+import { loadApiKeys, authenticate, getApiKeyRecords } from "./api-keys.js";
+import { getUsageSummary } from "./rate-limits.js";
+import { getUpstreamStats } from "./upstream.js";
+import { getDirectoryInfo } from "./team-directory.js";
+import { syncTeams, startTeamSync } from "./team-sync.js";
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
+const apiKeys = loadApiKeys();
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -49,7 +47,10 @@ app.get("/", (req, res) => {
     description: "ESPN + NCAA college sports data API - JSON-RPC 2.0 Compliant",
     sources: ["ESPN", "NCAA.com"],
     mcpEndpoint: "POST /mcp (requires Bearer token)",
-    tools: 7,
+    transport: "Streamable HTTP (POST JSON or SSE, GET /mcp for server events)",
+    protocolVersions: SUPPORTED_PROTOCOL_VERSIONS,
+    tools: listTools().length,
+    toolNames: listTools().map((tool) => tool.name),
     status: "operational",
     timestamp: new Date().toISOString(),
     note: "CFBD has been removed. All stats are now powered by ESPN and NCAA.",
@@ -68,6 +69,11 @@ app.get("/health", (req, res) => {
       espn: true,
       ncaa: true,
     },
+    mcpSessions: getSessionCount(),
+    subscriptions: getSubscriptionStats(),
+    upstream: getUpstreamStats(),
+    cache: getCacheStats(),
+    teams: getDirectoryInfo(),
   });
 });
 
@@ -142,564 +148,141 @@ app.get("/nil-demo/:school", async (req, res) => {
 });
 
 /**
- * MCP ENDPOINT - JSON-RPC 2.0 COMPLIANT
- * Handles tool discovery and tool calls
+ * MCP AUTHENTICATION
+ * Bearer key lookup shared by every /mcp verb (key store in api-keys.js).
+ * The matched key rides along as req.apiKey for per-key tool / scope checks.
  */
-app.post("/mcp", async (req, res) => {
-  try {
-    // Authentication check
-    const authHeader = req.headers.authorization;
-    const apiKey =
-      process.env.MCP_API_KEY ||
-      "sk_live_boomerbot_a8f7d2e9c4b1x6m3n5p9q2r8t4w7y1z3";
-
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      return res.json({
-        jsonrpc: "2.0",
-        error: {
-          code: -32001,
-          message:
-            "Missing or invalid authorization header. Use: Authorization: Bearer YOUR_API_KEY",
-        },
-        id: req.body?.id || null,
-      });
-    }
-
-    const token = authHeader.substring(7);
-
-    if (token !== apiKey) {
-      return res.json({
-        jsonrpc: "2.0",
-        error: {
-          code: -32002,
-          message: "Invalid API key",
-        },
-        id: req.body?.id || null,
-      });
-    }
-
-    // Parse JSON-RPC request
-    const { jsonrpc, method, params = {}, id } = req.body;
-
-    // Validate JSON-RPC version
-    if (jsonrpc !== "2.0") {
-      return res.json({
-        jsonrpc: "2.0",
-        error: {
-          code: -32600,
-          message: 'Invalid Request: jsonrpc must be "2.0"',
-        },
-        id: id || null,
-      });
-    }
-
-    // Validate method exists
-    if (!method) {
-      return res.json({
-        jsonrpc: "2.0",
-        error: {
-          code: -32600,
-          message: "Invalid Request: method is required",
-        },
-        id: id || null,
-      });
-    }
-
-    console.log(`JSON-RPC Method: ${method}`, params);
-
-    // ===== INITIALIZE (MCP Handshake) =====
-    if (method === "initialize") {
-      return res.json({
-        jsonrpc: "2.0",
-        id: id,
-        result: {
-          protocolVersion: "2024-11-05",
-          capabilities: {
-            tools: {},
-          },
-          serverInfo: {
-            name: "ESPN-NCAA MCP Server",
-            version: "3.0.0",
-          },
-        },
-      });
-    }
-
-    // ===== TOOL DISCOVERY =====
-    if (method === "tools/list") {
-      return res.json({
-        jsonrpc: "2.0",
-        id: id,
-        result: {
-          tools: [
-            // ESPN TOOLS
-            {
-              name: "get_score",
-              description:
-                "Get current or most recent game score for a specific team. Returns live score if game is in progress, or final score from most recent completed game.",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  team: {
-                    type: "string",
-                    description:
-                      'Team name (e.g., "oklahoma", "texas", "alabama")',
-                  },
-                  sport: {
-                    type: "string",
-                    description: 'Sport type (default: "football")',
-                    enum: ["football", "basketball", "baseball"],
-                  },
-                },
-                required: ["team"],
-              },
-            },
-            {
-              name: "get_schedule",
-              description:
-                "Get upcoming schedule for a specific team, including game dates, opponents, locations, and broadcast info.",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  team: {
-                    type: "string",
-                    description: "Team name",
-                  },
-                  sport: {
-                    type: "string",
-                    description: 'Sport type (default: "football")',
-                  },
-                  limit: {
-                    type: "number",
-                    description:
-                      "Number of games to return (default: 5, max: 20)",
-                  },
-                },
-                required: ["team"],
-              },
-            },
-            {
-              name: "get_scoreboard",
-              description:
-                "Get scoreboard showing all games for a given date across all teams. Shows live scores and final scores.",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  sport: {
-                    type: "string",
-                    description: 'Sport type (default: "football")',
-                  },
-                  date: {
-                    type: "string",
-                    description:
-                      "Date in YYYYMMDD format (default: today, ESPN time zone)",
-                  },
-                },
-                required: [],
-              },
-            },
-            {
-              name: "get_rankings",
-              description:
-                "Get current AP Top 25 or Coaches Poll rankings for a given sport.",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  sport: {
-                    type: "string",
-                    description: 'Sport type (default: "football")',
-                  },
-                  poll: {
-                    type: "string",
-                    description:
-                      'Poll type: "ap" (AP Top 25) or "coaches" (default: "ap")',
-                  },
-                },
-                required: [],
-              },
-            },
-            {
-              name: "get_game_player_stats",
-              description:
-                "Get detailed per-game player statistics for a specific ESPN event (game). Returns passing, rushing, receiving, defensive, and special teams stats by team and player.",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  eventId: {
-                    type: "string",
-                    description:
-                      'ESPN event ID for the game (e.g., "401752675").',
-                  },
-                },
-                required: ["eventId"],
-              },
-            },
-
-            // NCAA TOOLS (Multi-division)
-            {
-              name: "get_ncaa_scoreboard",
-              description:
-                "Get NCAA scoreboard for any sport and any division (FBS, FCS, Division II, Division III).",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  sport: {
-                    type: "string",
-                    description:
-                      'Sport (e.g., "football", "basketball", "baseball", "softball")',
-                  },
-                  division: {
-                    type: "string",
-                    description:
-                      'Division: "fbs", "fcs", "d2", "d3" (default: "fbs")',
-                  },
-                  date: {
-                    type: "string",
-                    description:
-                      "Date in YYYYMMDD format (default: today, NCAA time zone)",
-                  },
-                },
-                required: ["sport"],
-              },
-            },
-            {
-              name: "get_ncaa_rankings",
-              description:
-                "Get NCAA poll rankings for any sport and division (e.g., football AP poll, basketball rankings).",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  sport: {
-                    type: "string",
-                    description: "Sport name",
-                  },
-                  division: {
-                    type: "string",
-                    description:
-                      'Division: "fbs", "fcs", "d2", "d3" (default: "fbs")',
-                  },
-                  poll: {
-                    type: "string",
-                    description:
-                      'Poll type: "ap", "coaches", "playoff" (default: "ap")',
-                  },
-                },
-                required: ["sport"],
-              },
-            },
-          ],
-        },
-      });
-    }
-
-    // ===== TOOL CALLS =====
-    if (method === "tools/call") {
-      const { name, arguments: args } = params;
-
-      if (!name) {
-        return res.json({
-          jsonrpc: "2.0",
-          error: {
-            code: -32602,
-            message: "Invalid params: tool name is required",
-          },
-          id: id,
-        });
-      }
-
-      console.log(`Tool call: ${name}`, args);
-
-      // Route to appropriate handler
-      let result;
-
-      try {
-        switch (name) {
-          // ESPN TOOLS
-          case "get_score":
-            result = await handleGetScore(args);
-            break;
-          case "get_schedule":
-            result = await handleGetSchedule(args);
-            break;
-          case "get_scoreboard":
-            result = await handleGetScoreboard(args);
-            break;
-          case "get_rankings":
-            result = await handleGetRankings(args);
-            break;
-          case "get_game_player_stats":
-            result = await handleGetGamePlayerStats(args);
-            break;
-
-          // NCAA TOOLS
-          case "get_ncaa_scoreboard":
-            result = await handleGetNCAAScoreboard(args);
-            break;
-          case "get_ncaa_rankings":
-            result = await handleGetNCAAankings(args);
-            break;
-
-          default:
-            return res.json({
-              jsonrpc: "2.0",
-              error: {
-                code: -32601,
-                message: `Unknown tool: ${name}. Use tools/list to see available tools.`,
-              },
-              id: id,
-            });
-        }
-
-        // Return successful result
-        return res.json({
-          jsonrpc: "2.0",
-          id: id,
-          result: {
-            content: [
-              {
-                type: "text",
-                text:
-                  typeof result === "string"
-                    ? result
-                    : JSON.stringify(result, null, 2),
-              },
-            ],
-          },
-        });
-      } catch (error) {
-        console.error(`Tool ${name} error:`, error);
-        return res.json({
-          jsonrpc: "2.0",
-          error: {
-            code: -32000,
-            message: `Tool execution failed: ${error.message}`,
-          },
-          id: id,
-        });
-      }
-    }
-
-    // ===== NOTIFICATIONS =====
-    if (method === "notifications/initialized") {
-      return res.status(204).send();
-    }
-
-    // Unknown method
-    return res.json({
-      jsonrpc: "2.0",
-      error: {
-        code: -32601,
-        message: `Method not found: ${method}`,
-      },
-      id: id,
-    });
-  } catch (error) {
-    console.error("MCP endpoint error:", error);
+function requireApiKey(req, res, next) {
+  const auth = authenticate(req.headers.authorization);
+
+  if (auth.error) {
     return res.json({
       jsonrpc: "2.0",
-      error: {
-        code: -32603,
-        message: "Internal error",
-        data: error.message,
-      },
+      error: auth.error,
       id: req.body?.id || null,
     });
   }
-});
+
+  req.apiKey = auth.key;
+  next();
+}
 
 /**
- * TOOL HANDLERS - ESPN
+ * MCP ENDPOINT - JSON-RPC 2.0 COMPLIANT
+ * Dispatch lives in mcp-core.js; this wires it to the Streamable HTTP transport
  */
+app.use(
+  "/mcp",
+  createMcpRouter({
+    handleMessage: handleRpcPayload,
+    authenticate: requireApiKey,
+  })
+);
 
-async function handleGetScore(args) {
-  const { team, sport = "football" } = args;
-  const result = await getCurrentGame(team, sport);
-
-  if (result.error) {
-    return result.message;
-  }
-
-  const game = result.game;
-  let text = `${game.name}\n`;
-  text += `${game.status}`;
+/**
+ * USAGE SUMMARY
+ * Calls per key per tool (today and since startup). Admin keys see every
+ * key; other keys see only themselves.
+ */
+app.get("/usage", requireApiKey, (req, res) => {
+  const keys = req.apiKey.admin ? getApiKeyRecords() : [req.apiKey];
 
-  if (game.isLive) {
-    text += ` - ${game.period}Q ${game.clock}\n`;
-  } else {
-    text += `\n`;
-  }
+  res.json({
+    ...getUsageSummary(keys),
+    timestamp: new Date().toISOString(),
+  });
+});
 
-  text += `\n${game.awayTeam.name} (${game.awayTeam.record}): ${
-    game.awayTeam.score?.displayValue ||
-    game.awayTeam.score?.value ||
-    game.awayTeam.score
-  }`;
-  text += `\n${game.homeTeam.name} (${game.homeTeam.record}): ${
-    game.homeTeam.score?.displayValue ||
-    game.homeTeam.score?.value ||
-    game.homeTeam.score
-  }`;
-
-  if (game.venue) {
-    text += `\n\nVenue: ${game.venue}`;
-  }
-  if (game.broadcast) {
-    text += `\nTV: ${game.broadcast}`;
+/**
+ * ADMIN ENDPOINTS
+ * Admin API keys only (requireApiKey first)
+ */
+function requireAdmin(req, res, next) {
+  if (!req.apiKey?.admin) {
+    return res.status(403).json({
+      error: `API key "${req.apiKey?.name}" is not an admin key`,
+    });
   }
-
-  return text;
+  next();
 }
 
-async function handleGetSchedule(args) {
-  const { team, sport = "football", limit = 5 } = args;
-  const result = await getTeamSchedule(team, sport, limit);
-
-  if (result.error) {
-    return result.message;
-  }
+const adminOnly = [requireApiKey, requireAdmin];
 
-  let text = `Upcoming Schedule for ${result.team}:\n\n`;
-
-  result.games.forEach((game, i) => {
-    text += `${i + 1}. ${game.time}\n`;
-    text += `   vs ${game.opponent} (${game.location})\n`;
-    if (game.venue) {
-      text += `   ${game.venue}\n`;
-    }
-    if (game.broadcast) {
-      text += `   TV: ${game.broadcast}\n`;
-    }
-    text += `\n`;
+// Backend stats plus entries / stale / bytes per namespace
+app.get("/admin/cache", adminOnly, async (req, res) => {
+  res.json({
+    ...(await getCacheSummary()),
+    timestamp: new Date().toISOString(),
   });
+});
 
-  return text;
-}
-
-async function handleGetScoreboard(args) {
-  const { sport = "football", date } = args;
-  const result = await getScoreboard(sport, date);
-
-  if (result.error) {
-    return result.message;
-  }
+// Keys with age, remaining TTL and size: ?namespace=espn&prefix=rankings_&limit=200
+app.get("/admin/cache/entries", adminOnly, async (req, res) => {
+  const { namespace, prefix } = req.query;
+  const limit = Math.max(1, Number(req.query.limit) || 200);
 
-  let text = `Scoreboard for ${result.date}:\n\n`;
+  const entries = await listCacheEntries({ namespace, prefix });
+  entries.sort((a, b) => `${a.namespace}:${a.key}`.localeCompare(`${b.namespace}:${b.key}`));
 
-  result.games.forEach((game) => {
-    text += `${game.awayTeam.name} ${game.awayTeam.score} @ ${game.homeTeam.name} ${game.homeTeam.score}`;
-    text += ` - ${game.status}`;
-    if (game.isLive) {
-      text += ` (${game.period}Q ${game.clock})`;
-    }
-    text += `\n`;
+  res.json({
+    total: entries.length,
+    entries: entries.slice(0, limit),
+    timestamp: new Date().toISOString(),
   });
+});
 
-  return text;
-}
-
-async function handleGetRankings(args) {
-  const { sport = "football", poll = "ap" } = args;
-  const result = await getRankings(sport, poll);
+// Body: { namespace?, prefix?, team?, sport?, eventId? } - all given must match
+app.post("/admin/cache/invalidate", adminOnly, async (req, res) => {
+  const result = await invalidate(req.body || {});
 
   if (result.error) {
-    return result.message;
+    return res.status(400).json({ error: result.message, suggestions: result.suggestions });
   }
 
-  let text = `${result.poll} - Week ${result.week}\n\n`;
-
-  result.teams.slice(0, 25).forEach((team) => {
-    text += `${team.rank}. ${team.team} (${team.record})`;
-    if (team.points) {
-      text += ` - ${team.points} pts`;
-    }
-    text += `\n`;
+  console.log(`[Admin] ${req.apiKey.name} invalidated ${result.removed.length} cache entries`);
+  res.json({
+    ...result,
+    count: result.removed.length,
+    timestamp: new Date().toISOString(),
   });
+});
 
-  return text;
-}
-
-async function handleGetGamePlayerStats(args) {
-  const { eventId } = args;
-
-  if (!eventId) {
-    return "Missing required argument: eventId";
-  }
-
-  console.log(`handleGetGamePlayerStats called: eventId=${eventId}`);
-
-  const result = await getGamePlayerStats(eventId);
-
-  if (result.error) {
-    console.log(`getGamePlayerStats returned error: ${result.message}`);
-    return result.message;
-  }
-
-  return result;
-}
-
-/**
- * TOOL HANDLERS - NCAA
- */
-
-async function handleGetNCAAScoreboard(args) {
-  const { sport, division = "fbs", date } = args;
-  const result = await getNCAAScoreboard(sport, division, date);
+// Body: { uris: ["espn://rankings/football/ap", "espn://team/oklahoma/game"] }
+app.post("/admin/cache/warm", adminOnly, async (req, res) => {
+  const result = await warm(req.body?.uris);
 
   if (result.error) {
-    return result.message;
+    return res.status(400).json({ error: result.message });
   }
 
-  let text = `${result.sport.toUpperCase()} ${
-    result.division
-  } Scoreboard (${result.date}):\n\n`;
-
-  result.games.forEach((game) => {
-    text += `${game.awayTeam.name} ${game.awayTeam.score} @ ${game.homeTeam.name} ${game.homeTeam.score}`;
-    text += ` - ${game.status}`;
-    if (game.isLive) {
-      text += ` (${game.period}Q ${game.clock})`;
-    }
-    text += `\n`;
+  res.json({
+    ...result,
+    timestamp: new Date().toISOString(),
   });
+});
 
-  return text;
-}
-
-async function handleGetNCAAankings(args) {
-  const { sport, division = "fbs", poll = "ap" } = args;
-  const result = await getNCAAankings(sport, division, poll);
+// Re-pull every team from ESPN into the team directory (and its snapshot file)
+app.post("/admin/teams/refresh", adminOnly, async (req, res) => {
+  const result = await syncTeams();
 
   if (result.error) {
-    return result.message;
+    return res.status(502).json({ error: result.message });
   }
 
-  let text = `${result.sport.toUpperCase()} ${result.division} - ${
-    result.poll
-  }\n`;
-  text += `Week ${result.week}, Season ${result.season}\n\n`;
-
-  result.teams.slice(0, 25).forEach((team) => {
-    text += `${team.rank}. ${team.team} (${team.record})`;
-    if (team.points) {
-      text += ` - ${team.points} pts`;
-    }
-    text += `\n`;
+  console.log(`[Admin] ${req.apiKey.name} refreshed the team directory`);
+  res.json({
+    ...result,
+    timestamp: new Date().toISOString(),
   });
-
-  return text;
-}
-
-/**
- * UTILITY ENDPOINTS
- */
+});
 
 // Clear all caches
-app.post("/clear-cache", (req, res) => {
-  clearESPNCache();
-  clearNCAACache();
+app.post("/clear-cache", adminOnly, async (req, res) => {
+  const namespaces = await clearAllCaches();
 
   res.json({
     message: "All caches cleared successfully",
+    namespaces,
     timestamp: new Date().toISOString(),
   });
 });
@@ -712,15 +295,35 @@ app.use((req, res) => {
     error: "Endpoint not found",
     availableEndpoints: {
       "POST /mcp": "MCP JSON-RPC 2.0 endpoint (requires Bearer token)",
+      "GET /mcp": "MCP SSE stream for server-initiated messages (requires Mcp-Session-Id)",
+      "DELETE /mcp": "Terminate an MCP session",
       "GET /": "Server information",
       "GET /health": "Health check",
+      "GET /usage": "Calls per API key per tool (requires Bearer token)",
       "GET /nil-demo/:school": "Fire a demo NIL notification (sooners, cowboys, longhorns)",
-      "POST /clear-cache": "Clear all caches",
+      "GET /admin/cache": "Cache stats per namespace (admin key)",
+      "GET /admin/cache/entries": "Cache keys with age, TTL and size (admin key)",
+      "POST /admin/cache/invalidate": "Drop entries by namespace, prefix, team or event (admin key)",
+      "POST /admin/cache/warm": "Load resource URIs into the cache (admin key)",
+      "POST /admin/teams/refresh": "Re-pull the team directory from ESPN (admin key)",
+      "POST /clear-cache": "Clear all caches (admin key)",
     },
   });
 });
 
 app.use((error, req, res, next) => {
+  if (error.type === "entity.parse.failed") {
+    return res.status(400).json({
+      jsonrpc: "2.0",
+      error: {
+        code: -32700,
+        message: "Parse error",
+        data: error.message,
+      },
+      id: null,
+    });
+  }
+
   console.error("Server error:", error);
   res.status(500).json({ error: "Internal server error" });
 });
@@ -751,23 +354,35 @@ app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Health check: http://localhost:${PORT}/health`);
   console.log(`MCP endpoint:  http://localhost:${PORT}/mcp (POST with Bearer)`);
+  console.log(`MCP stream:    http://localhost:${PORT}/mcp (GET, text/event-stream)`);
   console.log(`NIL demo:      http://localhost:${PORT}/nil-demo/:school`);
   console.log("=".repeat(60));
+  if (apiKeys.length === 0) {
+    console.log("⚠️  No API keys configured (MCP_API_KEYS_FILE / MCP_API_KEYS / MCP_API_KEY)");
+    console.log("   Every /mcp request will be rejected.");
+  } else {
+    console.log(`API Keys: ${apiKeys.map((key) => (key.enabled ? key.name : `${key.name} (disabled)`)).join(", ")}`);
+  }
+  console.log("=".repeat(60));
   console.log("Data Sources:");
-  console.log("  ✓ ESPN API (scores, schedules, rankings, game player stats)");
+  console.log("  ✓ ESPN API (scores, schedules, rankings, game player stats, play-by-play, game summaries)");
   console.log("  ✓ NCAA API (multi-division coverage)");
-  console.log("=".repeat(60));
-  console.log("7 Tools Available:");
+  const directory = getDirectoryInfo();
   console.log(
-    "  ESPN: get_score, get_schedule, get_scoreboard, get_rankings, get_game_player_stats"
+    `Team directory: ${directory.teams} teams (ESPN snapshot: ${directory.snapshot.generatedAt || "none, curated only"})`
   );
-  console.log("  NCAA: get_ncaa_scoreboard, get_ncaa_rankings");
+  console.log("=".repeat(60));
+  console.log(`${listTools().length} Tools Available:`);
+  for (const [source, names] of Object.entries(toolsBySource())) {
+    console.log(`  ${source}: ${names.join(", ")}`);
+  }
   console.log("=".repeat(60));
   console.log(`Started at: ${new Date().toISOString()}`);
   console.log("=".repeat(60));
 });
 
 startRulesEngine();
+startTeamSync();
 
 
 
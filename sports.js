@@ -0,0 +1,338 @@
+/**
+ * SPORT REGISTRY
+ * Every sport the ESPN tools accept: its ESPN site API path and how a game
+ * is split (quarters, halves, periods, innings, sets).
+ *
+ *   football            College Football               4 quarters
+ *   basketball          Men's College Basketball       2 halves
+ *   womens-basketball   Women's College Basketball     4 quarters
+ *   baseball            College Baseball               9 innings
+ *   softball            College Softball               7 innings
+ *   volleyball          Women's College Volleyball     best of 5 sets
+ *   soccer              Men's College Soccer           2 halves
+ *   womens-soccer       Women's College Soccer         2 halves
+ *   hockey              Men's College Hockey           3 periods
+ *   lacrosse            Men's College Lacrosse         4 quarters
+ *   womens-lacrosse     Women's College Lacrosse       4 quarters
+ *
+ * "basketball" stays men's basketball so existing clients keep working;
+ * "mens-basketball" and the other "mens-" names are accepted as aliases.
+ *
+ * `divisions` maps each division ESPN carries for the sport to its ESPN
+ * `groups` id (null = the sport's default list). `conferences` maps
+ * conferences to their groups, per division: FBS football and Division I
+ * basketball here; every other sport and division gets its conferences
+ * from the team sync (team-sync.js).
+ */
+
+// ESPN only carries Division I for these; no groups filter needed
+const ESPN_D1_ONLY = { d1: null };
+
+// FBS conference -> ESPN group (football scoreboards, rankings)
+const FBS_CONFERENCES = {
+  ACC: "1",
+  "Big 12": "4",
+  "Big Ten": "5",
+  SEC: "8",
+  "Pac-12": "9",
+  "Conference USA": "12",
+  MAC: "15",
+  "Mountain West": "17",
+  Independent: "18",
+  "Sun Belt": "37",
+  American: "151",
+};
+
+// Division I conference -> ESPN group (men's and women's basketball)
+const BASKETBALL_CONFERENCES = {
+  "America East": "1",
+  ACC: "2",
+  "Atlantic 10": "3",
+  "Big East": "4",
+  "Big Sky": "5",
+  "Big South": "6",
+  "Big Ten": "7",
+  "Big 12": "8",
+  "Big West": "9",
+  CAA: "10",
+  "Conference USA": "11",
+  "Ivy League": "12",
+  MAAC: "13",
+  MAC: "14",
+  MEAC: "16",
+  "Missouri Valley": "18",
+  Northeast: "19",
+  "Ohio Valley": "20",
+  "Pac-12": "21",
+  "Patriot League": "22",
+  SEC: "23",
+  Southern: "24",
+  Southland: "25",
+  SWAC: "26",
+  "Sun Belt": "27",
+  "West Coast": "29",
+  WAC: "30",
+  "Mountain West": "44",
+  Horizon: "45",
+  ASUN: "46",
+  "Summit League": "49",
+  American: "62",
+};
+
+const CONFERENCE_ALIASES = {
+  "atlantic coast": "ACC",
+  "big twelve": "Big 12",
+  "big 10": "Big Ten",
+  b1g: "Big Ten",
+  southeastern: "SEC",
+  "pac 12": "Pac-12",
+  "c usa": "Conference USA",
+  cusa: "Conference USA",
+  "mid american": "MAC",
+  mwc: "Mountain West",
+  independents: "Independent",
+  "fbs independents": "Independent",
+  aac: "American",
+  "american athletic": "American",
+  a10: "Atlantic 10",
+  "a 10": "Atlantic 10",
+  colonial: "CAA",
+  "colonial athletic": "CAA",
+  "coastal athletic": "CAA",
+  "coastal athletic association": "CAA",
+  "coastal athletic association football": "CAA",
+  "caa football": "CAA",
+  ivy: "Ivy League",
+  "metro atlantic": "MAAC",
+  "metro atlantic athletic": "MAAC",
+  "mid eastern athletic": "MEAC",
+  mvc: "Missouri Valley",
+  nec: "Northeast",
+  ovc: "Ohio Valley",
+  patriot: "Patriot League",
+  socon: "Southern",
+  "southwestern athletic": "SWAC",
+  wcc: "West Coast",
+  "western athletic": "WAC",
+  "horizon league": "Horizon",
+  "atlantic sun": "ASUN",
+  summit: "Summit League",
+  "the summit league": "Summit League",
+};
+
+export const SPORTS = {
+  football: {
+    name: "College Football",
+    espnPath: "football/college-football",
+    period: "quarter",
+    regulation: 4,
+    divisions: { fbs: "80", fcs: "81", d2: "57", d3: "58" },
+    conferences: { fbs: FBS_CONFERENCES },
+  },
+  basketball: {
+    name: "Men's College Basketball",
+    espnPath: "basketball/mens-college-basketball",
+    period: "half",
+    regulation: 2,
+    divisions: { d1: "50" },
+    conferences: { d1: BASKETBALL_CONFERENCES },
+  },
+  "womens-basketball": {
+    name: "Women's College Basketball",
+    espnPath: "basketball/womens-college-basketball",
+    period: "quarter",
+    regulation: 4,
+    divisions: { d1: "50" },
+    conferences: { d1: BASKETBALL_CONFERENCES },
+  },
+  baseball: {
+    name: "College Baseball",
+    espnPath: "baseball/college-baseball",
+    period: "inning",
+    regulation: 9,
+    divisions: ESPN_D1_ONLY,
+  },
+  softball: {
+    name: "College Softball",
+    espnPath: "baseball/college-softball",
+    period: "inning",
+    regulation: 7,
+    divisions: ESPN_D1_ONLY,
+  },
+  volleyball: {
+    name: "Women's College Volleyball",
+    espnPath: "volleyball/womens-college-volleyball",
+    period: "set",
+    regulation: 5,
+    divisions: ESPN_D1_ONLY,
+  },
+  soccer: {
+    name: "Men's College Soccer",
+    espnPath: "soccer/usa.ncaa.m.1",
+    period: "half",
+    regulation: 2,
+    divisions: ESPN_D1_ONLY,
+  },
+  "womens-soccer": {
+    name: "Women's College Soccer",
+    espnPath: "soccer/usa.ncaa.w.1",
+    period: "half",
+    regulation: 2,
+    divisions: ESPN_D1_ONLY,
+  },
+  hockey: {
+    name: "Men's College Hockey",
+    espnPath: "hockey/mens-college-hockey",
+    period: "period",
+    regulation: 3,
+    divisions: ESPN_D1_ONLY,
+  },
+  lacrosse: {
+    name: "Men's College Lacrosse",
+    espnPath: "lacrosse/mens-college-lacrosse",
+    period: "quarter",
+    regulation: 4,
+    divisions: ESPN_D1_ONLY,
+  },
+  "womens-lacrosse": {
+    name: "Women's College Lacrosse",
+    espnPath: "lacrosse/womens-college-lacrosse",
+    period: "quarter",
+    regulation: 4,
+    divisions: ESPN_D1_ONLY,
+  },
+};
+
+export const SPORT_IDS = Object.keys(SPORTS);
+
+const SPORT_ALIASES = {
+  "mens-basketball": "basketball",
+  "mens-soccer": "soccer",
+  "mens-hockey": "hockey",
+  "mens-lacrosse": "lacrosse",
+};
+
+// Inning and set sports have no game clock and no overtime
+const PERIOD_NAMES = {
+  quarter: { name: (n) => `Q${n}`, timed: true },
+  half: { name: (n) => `${ordinal(n)} Half`, timed: true },
+  period: { name: (n) => `${ordinal(n)} Period`, timed: true },
+  inning: { name: (n) => `${ordinal(n)} Inning`, timed: false },
+  set: { name: (n) => `Set ${n}`, timed: false },
+};
+
+/**
+ * 1 -> "1st", 22 -> "22nd", 113 -> "113th"
+ */
+export function ordinal(n) {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? "th" : ["th", "st", "nd", "rd"][n % 10] || "th";
+  return `${n}${suffix}`;
+}
+
+/**
+ * Registry entry (with its id) for a canonical id or alias, or null
+ */
+export function getSport(name) {
+  const key = String(name ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[\s_]+/g, "-");
+  const id = SPORT_ALIASES[key] || key;
+  return SPORTS[id] ? { id, ...SPORTS[id] } : null;
+}
+
+/**
+ * Resolve a user-supplied sport. Returns { sport } or
+ * { error: true, message } in the API modules' error shape.
+ */
+export function lookupSport(name) {
+  const sport = getSport(name);
+  if (!sport) {
+    return {
+      error: true,
+      message: `Unsupported sport "${name}". Supported sports: ${SPORT_IDS.join(", ")}`,
+    };
+  }
+  return { sport };
+}
+
+/**
+ * Division for a sport: the given one, or the sport's first (fbs for
+ * football, d1 otherwise). Returns { division, group } or an error result.
+ */
+export function lookupDivision(sport, division) {
+  const divisions = Object.keys(sport.divisions);
+  const key = division ? String(division).trim().toLowerCase() : divisions[0];
+
+  if (!(key in sport.divisions)) {
+    return {
+      error: true,
+      message: `${sport.name} has no "${division}" division on ESPN. Available: ${divisions.join(", ")}`,
+    };
+  }
+  return { division: key, group: sport.divisions[key] };
+}
+
+// "Big Sky Conference" and "Big Sky" are the same conference
+const CONFERENCE_SUFFIX = /\s+conference$/i;
+
+function normalizeConference(name) {
+  return String(name ?? "")
+    .replace(CONFERENCE_SUFFIX, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+const KNOWN_CONFERENCES = [...new Set([...Object.keys(FBS_CONFERENCES), ...Object.keys(BASKETBALL_CONFERENCES)])];
+
+/**
+ * Canonical conference name ("b1g" -> "Big Ten", "Southeastern Conference"
+ * -> "SEC"); names we don't know come back trimmed, without "Conference"
+ */
+export function canonicalConference(name) {
+  const key = normalizeConference(name);
+  const known = KNOWN_CONFERENCES.find((conference) => normalizeConference(conference) === key);
+  return known || CONFERENCE_ALIASES[key] || String(name).trim().replace(CONFERENCE_SUFFIX, "");
+}
+
+/**
+ * ESPN group for a conference from the registry: { name, division, group },
+ * or null when sports.js doesn't map it for this sport
+ */
+export function findConference(sport, name) {
+  const conference = canonicalConference(name);
+  for (const [division, groups] of Object.entries(sport.conferences || {})) {
+    if (groups[conference]) return { name: conference, division, group: groups[conference] };
+  }
+  return null;
+}
+
+/**
+ * "Q3", "2nd Half", "OT", "2OT", "7th Inning", "Set 4"
+ */
+export function periodName(sportName, period) {
+  const sport = getSport(sportName) || getSport("football");
+  const naming = PERIOD_NAMES[sport.period];
+  const number = Number(period);
+
+  if (!(number > 0)) return null;
+  if (naming.timed && number > sport.regulation) {
+    const overtime = number - sport.regulation;
+    return overtime === 1 ? "OT" : `${overtime}OT`;
+  }
+  return naming.name(number);
+}
+
+/**
+ * Period plus clock for a live game ("Q3 4:12", "2nd Half 11:05",
+ * "7th Inning"). Untimed sports leave the clock out.
+ */
+export function gameClock(sportName, game) {
+  const sport = getSport(sportName) || getSport("football");
+  const period = periodName(sport.id, game.period);
+  if (!period) return game.clock || "";
+
+  return PERIOD_NAMES[sport.period].timed && game.clock ? `${period} ${game.clock}` : period;
+}
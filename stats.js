@@ -1,48 +1,35 @@
 // stats.js
-import axios from "axios";
+import { fetchJson } from "./upstream.js";
+import { createCache } from "./cache.js";
+import { cfbdTeamName } from "./team-directory.js";
 
 const base = "https://api.collegefootballdata.com";
 
-// Simple in-memory cache for traditional stats
+// Traditional stats cache
 // key: `${team.toLowerCase()}_${year}`
-const traditionalCache = new Map();
+const traditionalCache = createCache("cfbd-stats");
 const TTL_MS = 6 * 60 * 60 * 1000; // 6 hours
 
 function makeKey(team, year) {
   return `${team.toLowerCase()}_${year}`;
 }
 
-function isFresh(entry) {
-  if (!entry) return false;
-  return Date.now() - entry.timestamp < TTL_MS;
-}
-
 // Fetch full traditional stats (season, games, players, player_totals)
 async function fetchFullTraditionalStats(team, year) {
   const headers = {
     Authorization: `Bearer ${process.env.CFBD_API_KEY}`,
   };
 
+  const request = { label: "CFBD", query: { year, team }, headers };
+
   // 1) Season team stats
-  const seasonRes = await axios.get(`${base}/stats/season`, {
-    params: { year, team },
-    headers,
-  });
-  const seasonStats = seasonRes.data || [];
+  const seasonStats = (await fetchJson(`${base}/stats/season`, request)) || [];
 
   // 2) Team game-by-game stats
-  const teamGamesRes = await axios.get(`${base}/games/teams`, {
-    params: { year, team },
-    headers,
-  });
-  const teamGameStats = teamGamesRes.data || [];
+  const teamGameStats = (await fetchJson(`${base}/games/teams`, request)) || [];
 
   // 3) Player game-by-game stats
-  const playerGamesRes = await axios.get(`${base}/games/players`, {
-    params: { year, team },
-    headers,
-  });
-  const playerGameStats = playerGamesRes.data || [];
+  const playerGameStats = (await fetchJson(`${base}/games/players`, request)) || [];
 
   // 4) Aggregate player season totals
   const seasonPlayerTotals = {};
@@ -112,19 +99,17 @@ async function getTraditionalStats(team, year, subset = "all") {
     throw new Error("Team is required for traditional stats");
   }
 
-  const key = makeKey(team, year || new Date().getFullYear());
+  const school = cfbdTeamName(team);
+  const key = makeKey(school, year || new Date().getFullYear());
 
   try {
-    let entry = traditionalCache.get(key);
+    let full = await traditionalCache.get(key);
 
-    if (!isFresh(entry)) {
-      const data = await fetchFullTraditionalStats(team, year);
-      entry = { timestamp: Date.now(), data };
-      traditionalCache.set(key, entry);
+    if (!full) {
+      full = await fetchFullTraditionalStats(school, year);
+      await traditionalCache.set(key, full, TTL_MS);
     }
 
-    const full = entry.data;
-
     // Return only what was requested
     switch (subset) {
       case "season":
@@ -160,14 +145,13 @@ async function getTraditionalStats(team, year, subset = "all") {
         return full;
     }
   } catch (err) {
-    console.error("CFBD Traditional Stats Error:", err.response?.data || err);
+    console.error("CFBD Traditional Stats Error:", err.message);
     throw new Error("Failed to fetch traditional stats");
   }
 }
 
-function clearTraditionalStatsCache() {
-  traditionalCache.clear();
-  console.log("Traditional stats cache cleared");
+async function clearTraditionalStatsCache() {
+  await traditionalCache.clear();
 }
 
 export { getTraditionalStats, clearTraditionalStatsCache };
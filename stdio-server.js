@@ -0,0 +1,79 @@
+/**
+ * ESPN MCP SERVER - STDIO ENTRY POINT
+ * Runs the same tools as server.js as a local MCP server for desktop clients.
+ * Newline-delimited JSON-RPC 2.0 on stdin/stdout; all logging goes to stderr.
+ *
+ * Usage: node stdio-server.js
+ */
+
+import readline from "readline";
+import { handleRpcPayload } from "./mcp-core.js";
+import { startTeamSync } from "./team-sync.js";
+
+// stdout carries the protocol stream — keep every log line off it
+console.log = console.error;
+console.info = console.error;
+console.debug = console.error;
+console.warn = console.error;
+
+function send(message) {
+  process.stdout.write(JSON.stringify(message) + "\n");
+}
+
+// A stdio connection is a single long-lived session
+const session = {
+  id: "stdio",
+  createdAt: Date.now(),
+  lastSeen: Date.now(),
+  onClose: [],
+  send,
+};
+
+const context = {
+  session,
+  notify: (method, params) => send({ jsonrpc: "2.0", method, params }),
+};
+
+async function handleLine(line) {
+  if (!line.trim()) return;
+
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch (err) {
+    send({
+      jsonrpc: "2.0",
+      error: {
+        code: -32700,
+        message: "Parse error",
+        data: err.message,
+      },
+      id: null,
+    });
+    return;
+  }
+
+  session.lastSeen = Date.now();
+  const response = await handleRpcPayload(message, context);
+  if (response) {
+    send(response);
+  }
+}
+
+const rl = readline.createInterface({ input: process.stdin, terminal: false });
+const pending = new Set();
+
+rl.on("line", (line) => {
+  const task = handleLine(line).finally(() => pending.delete(task));
+  pending.add(task);
+});
+
+rl.on("close", async () => {
+  await Promise.all(pending);
+  console.error("[stdio] stdin closed, shutting down");
+  process.exit(0);
+});
+
+startTeamSync();
+
+console.error("[stdio] ESPN MCP server ready on stdin/stdout");
@@ -0,0 +1,159 @@
+/**
+ * RESOURCE SUBSCRIPTIONS
+ * resources/subscribe + a shared background poller that pushes
+ * notifications/resources/updated when a subscribed resource changes.
+ *
+ * Only URIs with at least one subscriber are polled, and each URI is
+ * fetched once per tick no matter how many sessions are watching it.
+ * Game resources (espn://team/{team}/game) use the same score diff as the
+ * NIL rules engine plus period/clock/status; everything else compares the
+ * serialized payload.
+ */
+
+import { parseResourceUri, resolveResource } from "./resources.js";
+import { gameSnapshot, gameChanged } from "./game-state.js";
+
+const POLL_INTERVAL = 30 * 1000; // matches the NIL engine cadence
+
+const subscribers = new Map(); // uri -> Set<session>
+const lastState = new Map(); // uri -> snapshot | null
+
+let pollTimer = null;
+
+/**
+ * What we compare between polls for a given URI
+ */
+async function snapshotResource(uri) {
+  const parsed = parseResourceUri(uri);
+
+  try {
+    const data = await resolveResource(uri);
+
+    if (parsed.kind === "game") {
+      return gameSnapshot(data.game, parsed.values.team);
+    }
+    return JSON.stringify(data);
+  } catch (err) {
+    // No game yet / upstream hiccup: treat as "no state" and keep polling
+    console.log(`[Subscriptions] ${uri} unavailable: ${err.message}`);
+    return null;
+  }
+}
+
+function stateChanged(uri, prev, next) {
+  if (prev === null || next === null) return prev !== next;
+  if (parseResourceUri(uri).kind === "game") return gameChanged(prev, next);
+  return prev !== next;
+}
+
+async function pollOnce() {
+  for (const [uri, sessions] of subscribers) {
+    if (sessions.size === 0) continue;
+
+    const next = await snapshotResource(uri);
+    const prev = lastState.get(uri);
+
+    // The URI may have been unsubscribed while we were fetching
+    if (!subscribers.has(uri)) continue;
+
+    lastState.set(uri, next);
+
+    // No baseline yet (subscribe still fetching) or nothing to report
+    if (prev === undefined || next === null) continue;
+    if (!stateChanged(uri, prev, next)) continue;
+
+    console.log(`[Subscriptions] ${uri} updated — notifying ${sessions.size} session(s)`);
+    for (const session of sessions) {
+      session.send({
+        jsonrpc: "2.0",
+        method: "notifications/resources/updated",
+        params: { uri },
+      });
+    }
+  }
+}
+
+function startPolling() {
+  if (pollTimer) return;
+
+  pollTimer = setInterval(() => {
+    pollOnce().catch((err) => {
+      console.error(`[Subscriptions] Poll error: ${err.message}`);
+    });
+  }, POLL_INTERVAL);
+  pollTimer.unref?.();
+
+  console.log(`[Subscriptions] Poller started (every ${POLL_INTERVAL / 1000}s)`);
+}
+
+function stopPollingIfIdle() {
+  if (subscribers.size > 0 || !pollTimer) return;
+
+  clearInterval(pollTimer);
+  pollTimer = null;
+  console.log("[Subscriptions] No subscribers — poller stopped");
+}
+
+/**
+ * Subscribe a session to a resource URI.
+ * The session must expose send(message) for server-initiated messages.
+ */
+export async function subscribe(uri, session) {
+  if (!parseResourceUri(uri)) {
+    return { error: true, message: `Resource not found: ${uri}` };
+  }
+
+  const isNew = !subscribers.has(uri);
+  if (isNew) {
+    subscribers.set(uri, new Set());
+  }
+  subscribers.get(uri).add(session);
+
+  if (!session.subscriptions) {
+    session.subscriptions = new Set();
+    session.onClose?.push(() => unsubscribeAll(session));
+  }
+  session.subscriptions.add(uri);
+  startPolling();
+
+  if (isNew) {
+    // Baseline so the first poll only reports real changes
+    const baseline = await snapshotResource(uri);
+    if (subscribers.has(uri)) {
+      lastState.set(uri, baseline);
+    }
+  }
+
+  console.log(`[Subscriptions] ${session.id} subscribed to ${uri}`);
+  return { error: false };
+}
+
+export function unsubscribe(uri, session) {
+  const sessions = subscribers.get(uri);
+  if (sessions) {
+    sessions.delete(session);
+    if (sessions.size === 0) {
+      subscribers.delete(uri);
+      lastState.delete(uri);
+    }
+  }
+
+  session.subscriptions?.delete(uri);
+  stopPollingIfIdle();
+}
+
+export function unsubscribeAll(session) {
+  for (const uri of [...(session.subscriptions || [])]) {
+    unsubscribe(uri, session);
+  }
+}
+
+export function getSubscriptionStats() {
+  return {
+    polling: Boolean(pollTimer),
+    resources: [...subscribers].map(([uri, sessions]) => ({
+      uri,
+      subscribers: sessions.size,
+    })),
+  };
+}
@@ -0,0 +1,635 @@
+/**
+ * TEAM DIRECTORY
+ * The one place team names are resolved. Every API module looks teams up
+ * here instead of keeping its own map.
+ *
+ * Each team has one canonical record:
+ *
+ *   {
+ *     id: "201",                      // ESPN team ID
+ *     slug: "oklahoma",               // canonical lookup key
+ *     name: "Oklahoma",               // ESPN location name
+ *     displayName: "Oklahoma Sooners",
+ *     nickname: "Sooners",
+ *     abbreviation: "OU",
+ *     conference: "SEC",              // football conference
+ *     conferences: { football: "SEC", basketball: "SEC" }, // per sport
+ *     cfbdName: "Oklahoma",           // CollegeFootballData "school"
+ *     sports: ["football", "basketball", "baseball"],
+ *     divisions: { football: "fbs" }, // from the ESPN snapshot
+ *     aliases: ["ou", "sooners", ...] // everything that resolves to the team
+ *   }
+ *
+ * Teams come from two places:
+ *   - data/espn-teams.json: every team ESPN lists per sport and division,
+ *     with its conference in each sport and each conference's ESPN group,
+ *     written by team-sync.js (npm run sync-teams). Syncs at runtime write
+ *     .cache/espn-teams.json instead, which wins when it is newer.
+ *   - TEAMS below: hand-curated programs. Their names, conference, CFBD name
+ *     and aliases are laid over ESPN's entry for the same id, and they stay
+ *     resolvable when the snapshot is missing.
+ *
+ * Names, display names, nicknames, abbreviations and extra aliases all go
+ * into one index. A name claimed by two teams ("osu", "tigers") is recorded
+ * as ambiguous and returns both candidates instead of whichever came last.
+ *
+ * Lookups (resolveTeam) try, in order:
+ *   1. exact alias after normalization ("Okla. St." -> "okla state",
+ *      "Texas A&M" -> "texas a and m")
+ *   2. fuzzy match: per-token exact / prefix / typo matches, and edit
+ *      distance on the whole name, scored 0-1. Only aliases that share a
+ *      token match or most trigrams with the query are scored (see
+ *      fuzzyIndexFor), so lookups stay fast with the full ESPN snapshot.
+ * A fuzzy match is only taken when it scores at least MATCH_THRESHOLD and
+ * clearly beats the runner-up; otherwise the caller gets suggestions.
+ */
+
+import { readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { canonicalConference } from "./sports.js";
+
+// ESPN's full team list, written by team-sync.js: the one shipped with the
+// repo, and the untracked one a running server syncs to
+export const TEAM_SNAPSHOT_FILE =
+  process.env.TEAM_SNAPSHOT_FILE || fileURLToPath(new URL("./data/espn-teams.json", import.meta.url));
+export const TEAM_SYNC_FILE = process.env.TEAM_SYNC_FILE || ".cache/espn-teams.json";
+
+const ALL_SPORTS = ["football", "basketball", "baseball"];
+const NO_BASEBALL = ["football", "basketball"];
+
+// Curated programs: [ESPN id, name, nickname, abbreviation, conference, extra]
+const TEAMS = [
+  // Big 12
+  ["197", "Oklahoma State", "Cowboys", "OKST", "Big 12", { aliases: ["osu", "okstate", "ok state", "pokes"] }],
+  ["239", "Baylor", "Bears", "BAY", "Big 12"],
+  ["2628", "TCU", "Horned Frogs", "TCU", "Big 12"],
+  ["2641", "Texas Tech", "Red Raiders", "TTU", "Big 12"],
+  ["2305", "Kansas", "Jayhawks", "KU", "Big 12"],
+  ["2306", "Kansas State", "Wildcats", "KSU", "Big 12", { aliases: ["k-state", "k state"] }],
+  ["66", "Iowa State", "Cyclones", "ISU", "Big 12", { sports: NO_BASEBALL }],
+  ["277", "West Virginia", "Mountaineers", "WVU", "Big 12"],
+  ["252", "BYU", "Cougars", "BYU", "Big 12", { aliases: ["brigham young"] }],
+  ["254", "Utah", "Utes", "UTAH", "Big 12"],
+  ["38", "Colorado", "Buffaloes", "COLO", "Big 12", { aliases: ["buffs"], sports: NO_BASEBALL }],
+  ["12", "Arizona", "Wildcats", "ARIZ", "Big 12"],
+  ["9", "Arizona State", "Sun Devils", "ASU", "Big 12"],
+
+  // SEC
+  ["201", "Oklahoma", "Sooners", "OU", "SEC"],
+  ["251", "Texas", "Longhorns", "TEX", "SEC", { aliases: ["ut", "horns"] }],
+  ["333", "Alabama", "Crimson Tide", "ALA", "SEC", { aliases: ["bama"] }],
+  ["61", "Georgia", "Bulldogs", "UGA", "SEC", { aliases: ["dawgs"] }],
+  ["99", "LSU", "Tigers", "LSU", "SEC", { aliases: ["louisiana state"] }],
+  ["57", "Florida", "Gators", "FLA", "SEC", { aliases: ["uf"] }],
+  ["2633", "Tennessee", "Volunteers", "TENN", "SEC", { aliases: ["vols"] }],
+  ["2", "Auburn", "Tigers", "AUB", "SEC"],
+  ["245", "Texas A&M", "Aggies", "TA&M", "SEC", { aliases: ["tamu", "texas am", "texas a and m"] }],
+  ["8", "Arkansas", "Razorbacks", "ARK", "SEC", { aliases: ["hogs"] }],
+  ["142", "Missouri", "Tigers", "MIZ", "SEC", { aliases: ["mizzou"] }],
+  ["96", "Kentucky", "Wildcats", "UK", "SEC"],
+  ["344", "Mississippi State", "Bulldogs", "MSST", "SEC", { aliases: ["msu", "miss state"] }],
+  ["145", "Ole Miss", "Rebels", "MISS", "SEC", { aliases: ["mississippi"] }],
+  ["2579", "South Carolina", "Gamecocks", "SC", "SEC", { aliases: ["usc"] }],
+  ["238", "Vanderbilt", "Commodores", "VAN", "SEC", { aliases: ["vandy"] }],
+
+  // Big Ten
+  ["194", "Ohio State", "Buckeyes", "OSU", "Big Ten", { aliases: ["tosu"] }],
+  ["130", "Michigan", "Wolverines", "MICH", "Big Ten"],
+  ["213", "Penn State", "Nittany Lions", "PSU", "Big Ten"],
+  ["275", "Wisconsin", "Badgers", "WIS", "Big Ten", { sports: NO_BASEBALL }],
+  ["2294", "Iowa", "Hawkeyes", "IOWA", "Big Ten"],
+  ["158", "Nebraska", "Cornhuskers", "NEB", "Big Ten", { aliases: ["huskers"] }],
+  ["135", "Minnesota", "Golden Gophers", "MINN", "Big Ten", { aliases: ["gophers"] }],
+  ["77", "Northwestern", "Wildcats", "NU", "Big Ten"],
+  ["356", "Illinois", "Fighting Illini", "ILL", "Big Ten", { aliases: ["illini"] }],
+  ["2509", "Purdue", "Boilermakers", "PUR", "Big Ten"],
+  ["84", "Indiana", "Hoosiers", "IU", "Big Ten"],
+  ["127", "Michigan State", "Spartans", "MSU", "Big Ten"],
+  ["120", "Maryland", "Terrapins", "MD", "Big Ten", { aliases: ["terps"] }],
+  ["164", "Rutgers", "Scarlet Knights", "RUTG", "Big Ten"],
+  ["30", "USC", "Trojans", "USC", "Big Ten", { aliases: ["southern cal", "southern california"] }],
+  ["26", "UCLA", "Bruins", "UCLA", "Big Ten"],
+  ["2483", "Oregon", "Ducks", "ORE", "Big Ten"],
+  ["264", "Washington", "Huskies", "WASH", "Big Ten", { aliases: ["uw"] }],
+
+  // ACC
+  ["228", "Clemson", "Tigers", "CLEM", "ACC"],
+  ["2390", "Miami", "Hurricanes", "MIA", "ACC", { aliases: ["the u", "canes", "miami fl", "miami florida", "miami (fl)"] }],
+  ["52", "Florida State", "Seminoles", "FSU", "ACC", { aliases: ["noles"] }],
+  ["153", "North Carolina", "Tar Heels", "UNC", "ACC"],
+  ["152", "NC State", "Wolfpack", "NCSU", "ACC", { aliases: ["north carolina state"] }],
+  ["259", "Virginia Tech", "Hokies", "VT", "ACC"],
+  ["258", "Virginia", "Cavaliers", "UVA", "ACC", { aliases: ["hoos"] }],
+  ["221", "Pittsburgh", "Panthers", "PITT", "ACC"],
+  ["97", "Louisville", "Cardinals", "LOU", "ACC", { aliases: ["cards"] }],
+  ["150", "Duke", "Blue Devils", "DUKE", "ACC"],
+  ["154", "Wake Forest", "Demon Deacons", "WAKE", "ACC"],
+  ["103", "Boston College", "Eagles", "BC", "ACC"],
+  ["183", "Syracuse", "Orange", "SYR", "ACC", { aliases: ["cuse"], sports: NO_BASEBALL }],
+  ["59", "Georgia Tech", "Yellow Jackets", "GT", "ACC"],
+  ["24", "Stanford", "Cardinal", "STAN", "ACC"],
+  ["25", "California", "Golden Bears", "CAL", "ACC", { aliases: ["cal", "berkeley"] }],
+
+  // Pac-12 / Independent
+  ["265", "Washington State", "Cougars", "WSU", "Pac-12", { aliases: ["wazzu"] }],
+  ["204", "Oregon State", "Beavers", "ORST", "Pac-12"],
+  ["87", "Notre Dame", "Fighting Irish", "ND", "Independent", { aliases: ["irish"] }],
+
+  // Group of Five
+  ["193", "Miami (OH)", "RedHawks", "M-OH", "MAC", { aliases: ["miami", "miami ohio"] }],
+];
+
+const MATCH_THRESHOLD = 0.8; // accept a fuzzy match from here
+const SUGGEST_THRESHOLD = 0.5; // list as "did you mean" from here
+const AMBIGUITY_MARGIN = 0.05; // runner-up this close = ambiguous
+const MAX_SUGGESTIONS = 5;
+
+let teams = new Map(); // ESPN id -> record
+let index = new Map(); // normalized name -> [record, ...]
+let fuzzyIndex = { tokens: new Map(), trigrams: new Map() }; // see fuzzyIndexFor
+let snapshotInfo = { generatedAt: null, source: null, teams: 0 };
+let coveredSports = new Set(ALL_SPORTS); // sports whose team lists we have
+let conferenceGroups = new Map(); // "sport:conference" -> { name, division, group }
+
+/**
+ * Lowercase, no accents or punctuation, "&" as "and", "St." as "State"
+ * (or "Saint" when it leads: "St. John's" -> "saint johns")
+ */
+export function normalizeTeamQuery(name) {
+  const tokens = String(name ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/['’.]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .split(" ")
+    .filter(Boolean);
+
+  return tokens
+    .map((token, i) => (token === "st" ? (i === 0 ? "saint" : "state") : token))
+    .join(" ");
+}
+
+function curatedEntry([id, name, nickname, abbreviation, conference, extra = {}]) {
+  return {
+    id,
+    name,
+    nickname,
+    abbreviation,
+    conference,
+    cfbdName: extra.cfbdName,
+    sports: extra.sports || ALL_SPORTS,
+    aliases: extra.aliases || [],
+  };
+}
+
+/**
+ * ESPN's entry with ours laid over it: our names, conference and aliases
+ * win, sports are combined
+ */
+function mergeEntries(espn, curated) {
+  if (!curated) return espn;
+  if (!espn) return curated;
+  return {
+    ...espn,
+    ...curated,
+    sports: [...new Set([...(espn.sports || []), ...curated.sports])],
+  };
+}
+
+function toRecord(entry) {
+  const { name, nickname, abbreviation } = entry;
+  const record = {
+    id: String(entry.id),
+    slug: normalizeTeamQuery(name),
+    name,
+    displayName: entry.displayName || `${name} ${nickname}`,
+    nickname,
+    abbreviation,
+    conference: null,
+    conferences: { ...entry.conferences },
+    cfbdName: entry.cfbdName || name,
+    sports: entry.sports?.length ? entry.sports : ALL_SPORTS,
+    divisions: entry.divisions || {},
+  };
+  // The curated conference is the football one
+  if (entry.conference) record.conferences.football = entry.conference;
+  record.conference = record.conferences.football || null;
+
+  const names = [
+    name,
+    record.displayName,
+    entry.shortName,
+    nickname,
+    abbreviation,
+    ...(entry.aliases || []),
+  ];
+  record.aliases = [...new Set(names.filter(Boolean).map(normalizeTeamQuery))];
+  return record;
+}
+
+function addTeam(directory, record) {
+  if (directory.teams.has(record.id)) {
+    throw new Error(`Team directory: ESPN id ${record.id} is listed twice`);
+  }
+  directory.teams.set(record.id, record);
+
+  for (const alias of record.aliases) {
+    const claimed = directory.index.get(alias) || [];
+    directory.index.set(alias, [...claimed, record]);
+  }
+}
+
+/**
+ * Snapshot teams merged with the curated list. Curated teams missing from
+ * the snapshot are added as they are.
+ */
+function buildDirectory(snapshotTeams) {
+  const directory = { teams: new Map(), index: new Map() };
+  const curated = new Map();
+  for (const row of TEAMS) {
+    if (curated.has(row[0])) {
+      throw new Error(`Team directory: ESPN id ${row[0]} is listed twice`);
+    }
+    curated.set(row[0], curatedEntry(row));
+  }
+
+  for (const espn of snapshotTeams) {
+    const id = String(espn.id);
+    addTeam(directory, toRecord(mergeEntries(espn, curated.get(id))));
+    curated.delete(id);
+  }
+  for (const entry of curated.values()) {
+    addTeam(directory, toRecord(entry));
+  }
+  return directory;
+}
+
+function conferenceKey(sport, name) {
+  return `${sport}:${canonicalConference(name).toLowerCase()}`;
+}
+
+function readSnapshot(file, { optional = false } = {}) {
+  try {
+    return JSON.parse(readFileSync(file, "utf8"));
+  } catch (error) {
+    if (!(optional && error.code === "ENOENT")) {
+      console.error(`[Teams] Could not read ${file} (${error.message})`);
+    }
+    return null;
+  }
+}
+
+/**
+ * The shipped snapshot, or the synced one when it is newer
+ */
+function newestSnapshot() {
+  const shipped = readSnapshot(TEAM_SNAPSHOT_FILE);
+  const synced = readSnapshot(TEAM_SYNC_FILE, { optional: true });
+  const generated = (snapshot) => Date.parse(snapshot?.generatedAt) || 0;
+
+  if (synced?.teams?.length && generated(synced) > generated(shipped)) return synced;
+  // stderr: this runs on import, before stdio-server.js moves console.log off stdout
+  if (!shipped?.teams?.length) console.error("[Teams] No ESPN snapshot teams; using curated teams only");
+  return shipped;
+}
+
+/**
+ * Replace the ESPN snapshot ({ generatedAt, source, teams }). The new
+ * directory is built before it is swapped in, so a bad snapshot throws and
+ * leaves the current one in place. With `requireGrowth`, so does a snapshot
+ * that adds no team to the curated ones.
+ */
+export function loadTeamSnapshot(snapshot, { requireGrowth = false } = {}) {
+  const directory = buildDirectory(snapshot?.teams || []);
+  if (requireGrowth && directory.teams.size <= TEAMS.length) {
+    throw new Error(`Snapshot adds no teams to the ${TEAMS.length} curated ones`);
+  }
+  teams = directory.teams;
+  index = directory.index;
+  fuzzyIndex = fuzzyIndexFor(directory.index.keys());
+  coveredSports = new Set([...ALL_SPORTS, ...(snapshot?.targets || []).map((target) => target.sport)]);
+  conferenceGroups = new Map(
+    (snapshot?.conferences || [])
+      .filter((conference) => conference.group)
+      .map(({ sport, division, name, group }) => [conferenceKey(sport, name), { name, division, group }])
+  );
+  snapshotInfo = {
+    generatedAt: snapshot?.generatedAt || null,
+    source: snapshot?.source || null,
+    teams: snapshot?.teams?.length || 0,
+  };
+  return getDirectoryInfo();
+}
+
+/**
+ * Team counts and snapshot age, for /health
+ */
+export function getDirectoryInfo() {
+  return {
+    teams: teams.size,
+    curated: TEAMS.length,
+    snapshot: snapshotInfo,
+  };
+}
+
+loadTeamSnapshot(newestSnapshot());
+
+// ── FUZZY MATCHING ────────────────────────────────────────────────────────────
+
+/**
+ * Optimal string alignment distance (Levenshtein + adjacent transpositions)
+ */
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * How well one query token matches one alias token
+ */
+function tokenScore(query, alias) {
+  if (query === alias) return 1;
+  if (query.length >= 3 && alias.startsWith(query)) return 0.9; // "okla" -> "oklahoma"
+
+  const allowed = query.length >= 8 ? 2 : query.length >= 4 ? 1 : 0;
+  if (allowed === 0 || Math.abs(query.length - alias.length) > allowed) return 0;
+  return editDistance(query, alias) <= allowed ? 0.8 : 0;
+}
+
+/**
+ * 0-1: the better of token matching and whole-string edit distance
+ */
+function similarity(query, alias) {
+  const queryTokens = query.split(" ");
+  const aliasTokens = alias.split(" ");
+  const unused = new Set(aliasTokens.keys());
+
+  let matched = 0;
+  for (const token of queryTokens) {
+    let best = 0;
+    let bestIndex = -1;
+    for (const i of unused) {
+      const score = tokenScore(token, aliasTokens[i]);
+      if (score > best) [best, bestIndex] = [score, i];
+    }
+    if (bestIndex >= 0) unused.delete(bestIndex);
+    matched += best;
+  }
+
+  const tokens = matched / Math.max(queryTokens.length, aliasTokens.length);
+
+  // The length difference alone caps the whole-name score; skip the edit
+  // distance when it can't beat the token score
+  const longest = Math.max(query.length, alias.length);
+  if (1 - Math.abs(query.length - alias.length) / longest <= tokens) return tokens;
+
+  const whole = 1 - editDistance(query, alias) / longest;
+  return Math.max(tokens, whole);
+}
+
+/**
+ * Distinct trigrams of a name with its spaces dropped, so run-together
+ * and split spellings ("texasam", "texas am") share them
+ */
+function trigrams(name) {
+  const compact = name.replace(/ /g, "");
+  const grams = new Set();
+  for (let i = 0; i + 3 <= compact.length; i++) grams.add(compact.slice(i, i + 3));
+  return grams;
+}
+
+/**
+ * Postings over every alias: alias token -> aliases, trigram -> aliases
+ */
+function fuzzyIndexFor(aliases) {
+  const tokens = new Map();
+  const grams = new Map();
+  const post = (map, key, alias) => {
+    if (map.has(key)) map.get(key).push(alias);
+    else map.set(key, [alias]);
+  };
+
+  for (const alias of aliases) {
+    for (const token of new Set(alias.split(" "))) post(tokens, token, alias);
+    for (const gram of trigrams(alias)) post(grams, gram, alias);
+  }
+  return { tokens, trigrams: grams };
+}
+
+/**
+ * Aliases worth scoring: one of their tokens matches a query token, or
+ * they share at least half of the query's trigrams
+ */
+function fuzzyCandidates(query) {
+  const candidates = new Set();
+
+  for (const token of new Set(query.split(" "))) {
+    for (const [aliasToken, aliases] of fuzzyIndex.tokens) {
+      if (tokenScore(token, aliasToken) > 0) aliases.forEach((alias) => candidates.add(alias));
+    }
+  }
+
+  const grams = trigrams(query);
+  const needed = Math.ceil(grams.size / 2);
+  const shared = new Map(); // alias -> trigrams in common
+  for (const gram of grams) {
+    for (const alias of fuzzyIndex.trigrams.get(gram) || []) {
+      const count = (shared.get(alias) || 0) + 1;
+      shared.set(alias, count);
+      if (count === needed) candidates.add(alias);
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Every candidate team scored against the query (best alias per team),
+ * best first
+ */
+function rankTeams(query) {
+  const best = new Map(); // record -> score
+
+  for (const alias of fuzzyCandidates(query)) {
+    const score = similarity(query, alias);
+    if (score < SUGGEST_THRESHOLD) continue;
+
+    for (const record of index.get(alias)) {
+      if (score > (best.get(record) || 0)) best.set(record, score);
+    }
+  }
+
+  return [...best]
+    .map(([team, score]) => ({ team, confidence: Number(score.toFixed(2)) }))
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+// ── LOOKUPS ───────────────────────────────────────────────────────────────────
+
+/**
+ * Resolve a name to a team.
+ *
+ *   { team, confidence }                 one clear match (1 = exact)
+ *   { ambiguous: true, suggestions }     several teams fit equally well
+ *   { suggestions }                      nothing close enough (maybe [])
+ *
+ * Suggestions are [{ team, confidence }], best first.
+ */
+export function resolveTeam(name) {
+  const query = normalizeTeamQuery(name);
+  if (!query) return { suggestions: [] };
+
+  const exact = index.get(query) || [];
+  if (exact.length === 1) return { team: exact[0], confidence: 1 };
+  if (exact.length > 1) {
+    return {
+      ambiguous: true,
+      suggestions: exact.map((team) => ({ team, confidence: 1 })),
+    };
+  }
+
+  const ranked = rankTeams(query);
+  const [top, next] = ranked;
+
+  if (top && top.confidence >= MATCH_THRESHOLD) {
+    if (!next || top.confidence - next.confidence > AMBIGUITY_MARGIN) {
+      console.log(`[Teams] "${name}" -> ${top.team.displayName} (confidence ${top.confidence})`);
+      return top;
+    }
+
+    return {
+      ambiguous: true,
+      suggestions: ranked.filter((match) => top.confidence - match.confidence <= AMBIGUITY_MARGIN),
+    };
+  }
+
+  return { suggestions: ranked.slice(0, MAX_SUGGESTIONS) };
+}
+
+/**
+ * The team for a name, or null when unknown or ambiguous
+ */
+export function findTeam(name) {
+  return resolveTeam(name).team || null;
+}
+
+export function getTeamById(id) {
+  return teams.get(String(id)) || null;
+}
+
+/**
+ * Resolve a user-supplied team name. Returns { team, confidence } or
+ * { error: true, message, suggestions? } in the API modules' error shape;
+ * suggestions are teamSummary()s with a confidence.
+ */
+export function lookupTeam(name, { sport } = {}) {
+  const resolved = resolveTeam(name);
+  const suggestions = (resolved.suggestions || []).map(({ team, confidence }) => ({
+    ...teamSummary(team),
+    confidence,
+  }));
+  const names = suggestions.map((team) => team.name).join(", ");
+
+  if (resolved.ambiguous) {
+    return {
+      error: true,
+      message: `Team "${name}" is ambiguous. Did you mean: ${names}?`,
+      suggestions,
+    };
+  }
+
+  if (!resolved.team) {
+    return {
+      error: true,
+      message: suggestions.length > 0
+        ? `Team "${name}" not found. Did you mean: ${names}?`
+        : `Team "${name}" not found. Try: oklahoma, texas, alabama, ohio state, etc.`,
+      suggestions,
+    };
+  }
+
+  // Only sports we have team lists for can rule a team out
+  const { team, confidence } = resolved;
+  if (sport && coveredSports.has(sport) && !team.sports.includes(sport)) {
+    return {
+      error: true,
+      message: `${team.displayName} do not field a ${sport} team`,
+    };
+  }
+
+  return { team, confidence };
+}
+
+/**
+ * Canonical slug for a name, or the normalized name itself when it isn't
+ * a single known team. Used to compare names from different sources.
+ */
+export function canonicalTeamName(name) {
+  return findTeam(name)?.slug || normalizeTeamQuery(name);
+}
+
+/**
+ * CFBD "school" for a name (unknown names pass through unchanged)
+ */
+export function cfbdTeamName(name) {
+  return findTeam(name)?.cfbdName || name;
+}
+
+/**
+ * Compact form for candidate lists and listings
+ */
+export function teamSummary(team) {
+  return {
+    id: team.id,
+    name: team.displayName,
+    abbreviation: team.abbreviation,
+    conference: team.conference,
+  };
+}
+
+/**
+ * ESPN group of a conference in a sport, from the snapshot's standings:
+ * { name, division, group }, or null
+ */
+export function syncedConference(sport, conference) {
+  return conferenceGroups.get(conferenceKey(sport, conference)) || null;
+}
+
+/**
+ * ESPN ids of the teams in a sport's conference (e.g. "Big 12")
+ */
+export function conferenceTeamIds(conference, sport = "football") {
+  const wanted = conferenceKey(sport, conference);
+  return new Set(
+    [...teams.values()]
+      .filter((team) => team.conferences[sport] && conferenceKey(sport, team.conferences[sport]) === wanted)
+      .map((team) => team.id)
+  );
+}
+
+export function listTeams() {
+  return [...teams.values()];
+}
+
+/**
+ * Names that resolve to more than one team
+ */
+export function listAmbiguousNames() {
+  return [...index]
+    .filter(([, matches]) => matches.length > 1)
+    .map(([alias, matches]) => ({ alias, teams: matches.map((team) => team.displayName) }));
+}
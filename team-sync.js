@@ -0,0 +1,197 @@
+/**
+ * TEAM SYNC
+ * Pulls every team ESPN lists for each sport and division in sports.js
+ * into a team directory snapshot and reloads the directory. Each
+ * division's ESPN standings add every team's conference in that sport and
+ * the conference's ESPN group.
+ *
+ *   npm run sync-teams           refresh the snapshot shipped with the repo
+ *                                (data/espn-teams.json)
+ *   POST /admin/teams/refresh    refresh at runtime (admin key)
+ *   TEAM_SYNC_INTERVAL_HOURS     refresh periodically (default 0 = off)
+ *
+ * A server that starts without snapshot teams syncs once right away.
+ * Runtime syncs write TEAM_SYNC_FILE (default .cache/espn-teams.json,
+ * untracked) so the checked-in file only changes on purpose. Sync requests
+ * have their own circuit breaker: a failing sync doesn't take ESPN away
+ * from the tools.
+ *
+ * A team appears once per ESPN id, with every sport (and division) it
+ * was listed under. If any team list fails to load, or the result adds no
+ * team to the curated ones, nothing is written and the current directory
+ * stays as it is. Standings only add conferences, so
+ * a division without them is logged and synced without.
+ */
+
+import { writeFile, rename, mkdir } from "fs/promises";
+import { dirname } from "path";
+import { pathToFileURL } from "url";
+import { fetchJson } from "./upstream.js";
+import { TEAM_SNAPSHOT_FILE, TEAM_SYNC_FILE, loadTeamSnapshot, getDirectoryInfo } from "./team-directory.js";
+import { SPORT_IDS, getSport, canonicalConference } from "./sports.js";
+
+const ESPN_SITE_API = "https://site.api.espn.com/apis/site/v2/sports";
+const ESPN_STANDINGS_API = "https://site.api.espn.com/apis/v2/sports";
+
+// One ESPN /teams list per sport and division (groups from sports.js)
+const SYNC_TARGETS = SPORT_IDS.flatMap((sport) => {
+  const { espnPath: path, divisions } = getSport(sport);
+  return Object.entries(divisions).map(([division, group]) => ({ sport, path, group, division }));
+});
+
+const SYNC_INTERVAL_HOURS = Number(process.env.TEAM_SYNC_INTERVAL_HOURS) || 0;
+
+// Circuit breaker for sync requests, apart from the ESPN host's
+const SYNC_BREAKER = "espn-team-sync";
+
+async function fetchTeamList({ path, group }) {
+  const data = await fetchJson(`${ESPN_SITE_API}/${path}/teams`, {
+    label: "ESPN",
+    breaker: SYNC_BREAKER,
+    query: { groups: group, limit: 1000 },
+  });
+  return (data.sports?.[0]?.leagues?.[0]?.teams || []).map(({ team }) => team);
+}
+
+/**
+ * Conferences in a division, from its standings: [{ name, abbreviation,
+ * group, teamIds }]. [] when ESPN has no standings for it.
+ */
+async function fetchConferences({ sport, path, group, division }) {
+  try {
+    const data = await fetchJson(`${ESPN_STANDINGS_API}/${path}/standings`, {
+      label: "ESPN",
+      breaker: SYNC_BREAKER,
+      query: { group },
+    });
+    return (data.children || []).map((node) => ({
+      name: canonicalConference(node.name),
+      abbreviation: node.abbreviation || null,
+      group: node.id ? String(node.id) : null,
+      teamIds: standingTeamIds(node),
+    }));
+  } catch (error) {
+    console.warn(`[Teams] No conferences for ${sport} ${division}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Team ids in a standings node, including those nested in its divisions
+ */
+function standingTeamIds(node) {
+  return [
+    ...(node.standings?.entries || []).map((entry) => String(entry.team?.id)),
+    ...(node.children || []).flatMap(standingTeamIds),
+  ];
+}
+
+function snapshotEntry(team) {
+  return {
+    id: String(team.id),
+    name: team.location,
+    nickname: team.name,
+    displayName: team.displayName,
+    shortName: team.shortDisplayName,
+    abbreviation: team.abbreviation,
+    sports: [],
+    divisions: {},
+    conferences: {},
+  };
+}
+
+/**
+ * Fetch every target and build a snapshot. Throws on the first failed list.
+ */
+export async function fetchTeamSnapshot() {
+  const teams = new Map(); // ESPN id -> snapshot entry
+  const targets = [];
+  const conferences = [];
+
+  for (const target of SYNC_TARGETS) {
+    const list = await fetchTeamList(target);
+
+    for (const team of list) {
+      const id = String(team.id);
+      if (!teams.has(id)) teams.set(id, snapshotEntry(team));
+
+      const entry = teams.get(id);
+      if (!entry.sports.includes(target.sport)) entry.sports.push(target.sport);
+      entry.divisions[target.sport] = target.division;
+    }
+
+    const divisionConferences = await fetchConferences(target);
+    for (const { teamIds, ...conference } of divisionConferences) {
+      conferences.push({ sport: target.sport, division: target.division, ...conference });
+      for (const id of teamIds) {
+        const entry = teams.get(id);
+        if (entry) entry.conferences[target.sport] = conference.name;
+      }
+    }
+
+    targets.push({
+      sport: target.sport,
+      division: target.division,
+      teams: list.length,
+      conferences: divisionConferences.length,
+    });
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    source: "ESPN site API /teams and /standings",
+    targets,
+    conferences,
+    teams: [...teams.values()].sort((a, b) => Number(a.id) - Number(b.id)),
+  };
+}
+
+/**
+ * Refresh the directory from ESPN and write the snapshot to `file`
+ * (TEAM_SYNC_FILE by default) unless `write` is false. Returns
+ * { teams, targets, directory } or { error: true, message }.
+ */
+export async function syncTeams({ write = true, file = TEAM_SYNC_FILE } = {}) {
+  try {
+    const snapshot = await fetchTeamSnapshot();
+    const directory = loadTeamSnapshot(snapshot, { requireGrowth: true });
+
+    if (write) {
+      await mkdir(dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      await writeFile(tmp, `${JSON.stringify(snapshot, null, 2)}\n`);
+      await rename(tmp, file);
+    }
+
+    console.log(`[Teams] Synced ${snapshot.teams.length} ESPN teams (${directory.teams} in directory)`);
+    return { teams: snapshot.teams.length, targets: snapshot.targets, directory };
+  } catch (error) {
+    console.error("[Teams] Sync failed:", error.message);
+    return { error: true, message: `Team sync failed: ${error.message}` };
+  }
+}
+
+/**
+ * Sync now if no snapshot teams are loaded, then periodically when
+ * TEAM_SYNC_INTERVAL_HOURS is set
+ */
+export function startTeamSync() {
+  if (getDirectoryInfo().snapshot.teams === 0) {
+    console.log("[Teams] No ESPN snapshot teams loaded; syncing now");
+    syncTeams();
+  }
+
+  if (!SYNC_INTERVAL_HOURS) return null;
+
+  console.log(`[Teams] Syncing from ESPN every ${SYNC_INTERVAL_HOURS}h`);
+  const timer = setInterval(() => syncTeams(), SYNC_INTERVAL_HOURS * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+// npm run sync-teams
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const result = await syncTeams({ file: TEAM_SNAPSHOT_FILE });
+  if (result.error) process.exit(1);
+  console.log(JSON.stringify(result.targets, null, 2));
+}
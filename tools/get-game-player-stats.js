@@ -0,0 +1,76 @@
+/**
+ * GET_GAME_PLAYER_STATS TOOL
+ * Per-game player box score for an ESPN event (ESPN)
+ */
+
+import { getGamePlayerStats } from "../espn-player.js";
+import { toolError, withStaleNotice } from "./structured.js";
+
+export default {
+  name: "get_game_player_stats",
+  title: "Game Player Stats",
+  description:
+    "Get detailed per-game player statistics for a specific ESPN event (game). Returns passing, rushing, receiving, defensive, and special teams stats by team and player.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      eventId: {
+        type: "string",
+        description:
+          'ESPN event ID for the game (e.g., "401752675").',
+        pattern: "^\\d+$",
+      },
+    },
+    required: ["eventId"],
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      eventId: { type: "string" },
+      teams: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            id: { type: ["string", "null"] },
+            name: { type: ["string", "null"] },
+            abbreviation: { type: ["string", "null"] },
+            statistics: {
+              type: "object",
+              description:
+                "Keyed by category (passing, rushing, ...): { labels, players: [{ id, name, jersey, position, rawStats, stats }] }",
+            },
+          },
+          required: ["statistics"],
+        },
+      },
+    },
+    required: ["eventId", "teams"],
+  },
+  metadata: {
+    source: "ESPN",
+  },
+  handler: handleGetGamePlayerStats,
+};
+
+async function handleGetGamePlayerStats(args) {
+  const { eventId } = args;
+
+  if (!eventId) {
+    return toolError("Missing required argument: eventId");
+  }
+
+  console.log(`handleGetGamePlayerStats called: eventId=${eventId}`);
+
+  const result = await getGamePlayerStats(eventId);
+
+  if (result.error) {
+    console.log(`getGamePlayerStats returned error: ${result.message}`);
+    return toolError(result.message);
+  }
+
+  return withStaleNotice(result, {
+    text: JSON.stringify(result, null, 2),
+    structuredContent: result,
+  });
+}
@@ -0,0 +1,201 @@
+/**
+ * GET_GAME_SUMMARY TOOL
+ * Team box score, leaders, linescore and game info for an ESPN event (ESPN)
+ */
+
+import { getGameSummary } from "../espn-player.js";
+import { SPORT_IDS, periodName } from "../sports.js";
+import {
+  GAME_STATUSES,
+  gameStatus,
+  isoDate,
+  nullable,
+  toInteger,
+  toolError,
+  withStaleNotice,
+} from "./structured.js";
+
+export default {
+  name: "get_game_summary",
+  title: "Game Summary",
+  description:
+    "Get the team box score for an ESPN event (game): team comparison stats (first downs, total yards, turnovers, time of possession, third-down %, penalties), game leaders per category, linescore by period, venue, attendance and officials.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      eventId: {
+        type: "string",
+        description: 'ESPN event ID for the game (e.g., "401752675").',
+        pattern: "^\\d+$",
+      },
+      sport: {
+        type: "string",
+        description: `Sport of the event (default: "football"). "basketball" is men's basketball.`,
+        enum: SPORT_IDS,
+      },
+    },
+    required: ["eventId"],
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      eventId: { type: "string" },
+      sport: { type: "string" },
+      date: { ...nullable("string"), format: "date-time" },
+      status: { type: "string", enum: GAME_STATUSES },
+      statusDetail: nullable("string"),
+      teams: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            name: { type: "string" },
+            abbreviation: nullable("string"),
+            homeAway: { type: "string", enum: ["home", "away"] },
+            score: nullable("integer"),
+            linescore: {
+              type: "array",
+              items: nullable("integer"),
+              description: "Points per period; overtime periods follow regulation",
+            },
+          },
+        },
+      },
+      comparison: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            name: { type: "string", description: 'ESPN stat name, e.g. "totalYards"' },
+            label: { type: "string" },
+            away: { ...nullable("string"), description: 'As ESPN displays it, e.g. "5-12" or "32:15"' },
+            home: nullable("string"),
+          },
+        },
+      },
+      leaders: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            category: { type: "string" },
+            label: { type: "string" },
+            leaders: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  teamId: nullable("string"),
+                  team: nullable("string"),
+                  player: nullable("string"),
+                  value: nullable("string"),
+                },
+              },
+            },
+          },
+        },
+      },
+      venue: {
+        type: ["object", "null"],
+        properties: {
+          name: nullable("string"),
+          city: nullable("string"),
+          state: nullable("string"),
+        },
+      },
+      attendance: nullable("integer"),
+      officials: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            name: { type: "string" },
+            position: nullable("string"),
+          },
+        },
+      },
+    },
+    required: ["eventId", "sport", "status", "teams", "comparison", "leaders"],
+  },
+  metadata: {
+    source: "ESPN",
+  },
+  handler: handleGetGameSummary,
+};
+
+async function handleGetGameSummary(args) {
+  const { eventId, sport = "football" } = args;
+  const result = await getGameSummary(eventId, { sport });
+
+  if (result.error) {
+    return toolError(result.message);
+  }
+
+  const away = result.teams.find((t) => t.homeAway === "away") || result.teams[0];
+  const home = result.teams.find((t) => t.homeAway === "home") || result.teams[1];
+  const short = (team) => team?.abbreviation || team?.name || "?";
+
+  let text = `${away.name} ${away.score ?? ""} @ ${home.name} ${home.score ?? ""}`;
+  if (result.status) text += ` (${result.status})`;
+  text += `\n`;
+
+  const periods = Math.max(away.linescore.length, home.linescore.length);
+  if (periods > 0) {
+    const headers = Array.from({ length: periods }, (_, i) => periodName(result.sport, i + 1));
+    text += `\n${headers.join(" | ")}\n`;
+    [away, home].forEach((team) => {
+      text += `${short(team)}: ${team.linescore.map((points) => points ?? "-").join(" | ")}\n`;
+    });
+  }
+
+  if (result.comparison.length > 0) {
+    text += `\nTeam stats (${short(away)} / ${short(home)}):\n`;
+    result.comparison.forEach((row) => {
+      text += `${row.label}: ${row.away ?? "-"} / ${row.home ?? "-"}\n`;
+    });
+  }
+
+  if (result.leaders.length > 0) {
+    text += `\nLeaders:\n`;
+    result.leaders.forEach((category) => {
+      const players = category.leaders.map((l) => `${l.team}: ${l.player} (${l.value})`);
+      text += `${category.label} - ${players.join("; ")}\n`;
+    });
+  }
+
+  const venue = result.venue;
+  if (venue?.name) {
+    const place = [venue.city, venue.state].filter(Boolean).join(", ");
+    text += `\nVenue: ${venue.name}${place ? `, ${place}` : ""}`;
+    const attendance = toInteger(result.attendance);
+    if (attendance) text += ` (attendance ${attendance.toLocaleString("en-US")})`;
+    text += `\n`;
+  }
+
+  if (result.officials.length > 0) {
+    const crew = result.officials.map((o) => (o.position ? `${o.name} (${o.position})` : o.name));
+    text += `Officials: ${crew.join(", ")}\n`;
+  }
+
+  return withStaleNotice(result, {
+    text: text.trimEnd(),
+    structuredContent: {
+      eventId: result.eventId,
+      sport: result.sport,
+      date: isoDate(result.date),
+      status: gameStatus(result.state, result.status || ""),
+      statusDetail: result.status,
+      teams: result.teams.map((team) => ({
+        ...team,
+        score: toInteger(team.score),
+        linescore: team.linescore.map(toInteger),
+      })),
+      comparison: result.comparison,
+      leaders: result.leaders,
+      venue: result.venue,
+      attendance: toInteger(result.attendance),
+      officials: result.officials,
+    },
+  });
+}
@@ -0,0 +1,95 @@
+/**
+ * GET_NCAA_RANKINGS TOOL
+ * Multi-division poll rankings (NCAA)
+ */
+
+import { getNCAAankings } from "../ncaa-api.js";
+import { SPORT_IDS } from "../sports.js";
+import {
+  RANKED_TEAM_SCHEMA,
+  structuredRankedTeam,
+  seasonYear,
+  toInteger,
+  toolError,
+  withStaleNotice,
+} from "./structured.js";
+
+export default {
+  name: "get_ncaa_rankings",
+  title: "NCAA Rankings",
+  description:
+    "Get NCAA poll rankings for any sport and division (e.g., football AP poll, basketball rankings).",
+  inputSchema: {
+    type: "object",
+    properties: {
+      sport: {
+        type: "string",
+        description: `Sport (e.g., "football", "basketball", "softball"). "basketball" is men's basketball.`,
+        enum: SPORT_IDS,
+      },
+      division: {
+        type: "string",
+        description:
+          'Football: "fbs", "fcs", "d2" or "d3" (default "fbs"). Other sports: "d1" (the only division ESPN carries).',
+        enum: ["fbs", "fcs", "d1", "d2", "d3"],
+      },
+      poll: {
+        type: "string",
+        description:
+          'Poll type: "ap", "coaches", "playoff" (default: "ap")',
+        enum: ["ap", "coaches", "playoff"],
+      },
+    },
+    required: ["sport"],
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      sport: { type: "string" },
+      division: { type: "string" },
+      poll: { type: "string" },
+      week: { type: ["integer", "null"] },
+      season: { type: ["integer", "null"] },
+      teams: { type: "array", items: RANKED_TEAM_SCHEMA },
+    },
+    required: ["sport", "division", "poll", "teams"],
+  },
+  metadata: {
+    source: "NCAA",
+  },
+  handler: handleGetNCAAankings,
+};
+
+async function handleGetNCAAankings(args) {
+  const { sport, division, poll = "ap" } = args;
+  const result = await getNCAAankings(sport, division, poll);
+
+  if (result.error) {
+    return toolError(result.message);
+  }
+
+  let text = `${result.sport.toUpperCase()} ${result.division} - ${
+    result.poll
+  }\n`;
+  text += `Week ${result.week}, Season ${result.season}\n\n`;
+
+  result.teams.slice(0, 25).forEach((team) => {
+    text += `${team.rank}. ${team.team} (${team.record})`;
+    if (team.points) {
+      text += ` - ${team.points} pts`;
+    }
+    text += `\n`;
+  });
+
+  return withStaleNotice(result, {
+    text,
+    structuredContent: {
+      sport: result.sport,
+      division: result.division,
+      poll: result.poll,
+      week: toInteger(result.week),
+      season: seasonYear(result.season),
+      teams: result.teams.map(structuredRankedTeam),
+    },
+  });
+}
@@ -0,0 +1,91 @@
+/**
+ * GET_NCAA_SCOREBOARD TOOL
+ * Multi-division scoreboard (NCAA)
+ */
+
+import { getNCAAScoreboard } from "../ncaa-api.js";
+import { SPORT_IDS, gameClock } from "../sports.js";
+import { GAME_SCHEMA, structuredGame, toolError, withStaleNotice } from "./structured.js";
+
+export default {
+  name: "get_ncaa_scoreboard",
+  title: "NCAA Scoreboard",
+  description:
+    "Get NCAA scoreboard for any sport and division (FBS, FCS, Division II, Division III for football), optionally for one conference.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      sport: {
+        type: "string",
+        description: `Sport (e.g., "football", "basketball", "softball"). "basketball" is men's basketball.`,
+        enum: SPORT_IDS,
+      },
+      division: {
+        type: "string",
+        description:
+          'Football: "fbs", "fcs", "d2" or "d3" (default "fbs"). Other sports: "d1" (the only division ESPN carries).',
+        enum: ["fbs", "fcs", "d1", "d2", "d3"],
+      },
+      conference: {
+        type: "string",
+        description:
+          'Only games involving this conference (e.g., "SEC", "Big 12", "B1G")',
+      },
+      date: {
+        type: "string",
+        description:
+          "Date in YYYYMMDD format (default: today, NCAA time zone)",
+        pattern: "^\\d{8}$",
+      },
+    },
+    required: ["sport"],
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      sport: { type: "string" },
+      division: { type: "string" },
+      conference: { type: ["string", "null"] },
+      date: { type: "string", description: "YYYYMMDD" },
+      games: { type: "array", items: GAME_SCHEMA },
+    },
+    required: ["sport", "division", "date", "games"],
+  },
+  metadata: {
+    source: "NCAA",
+  },
+  handler: handleGetNCAAScoreboard,
+};
+
+async function handleGetNCAAScoreboard(args) {
+  const { sport, division, date, conference } = args;
+  const result = await getNCAAScoreboard(sport, division, date, conference);
+
+  if (result.error) {
+    return toolError(result.message);
+  }
+
+  let text = `${result.sport.toUpperCase()} ${result.conference || result.division} Scoreboard (${
+    result.date
+  }):\n\n`;
+
+  result.games.forEach((game) => {
+    text += `${game.awayTeam.name} ${game.awayTeam.score} @ ${game.homeTeam.name} ${game.homeTeam.score}`;
+    text += ` - ${game.status}`;
+    if (game.isLive) {
+      text += ` (${gameClock(result.sport, game)})`;
+    }
+    text += `\n`;
+  });
+
+  return withStaleNotice(result, {
+    text,
+    structuredContent: {
+      sport: result.sport,
+      division: result.division,
+      conference: result.conference,
+      date: result.date,
+      games: result.games.map(structuredGame),
+    },
+  });
+}
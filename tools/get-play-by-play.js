@@ -0,0 +1,181 @@
+/**
+ * GET_PLAY_BY_PLAY TOOL
+ * Drive chart and plays for an ESPN event (ESPN)
+ */
+
+import { getPlayByPlay } from "../espn-player.js";
+import { SPORT_IDS, ordinal, periodName } from "../sports.js";
+import { nullable, toolError, withStaleNotice } from "./structured.js";
+
+const SPOT_SCHEMA = {
+  type: "object",
+  properties: {
+    period: nullable("integer"),
+    clock: nullable("string"),
+    yardLine: { ...nullable("integer"), description: "ESPN yard line, 0-100" },
+    text: { ...nullable("string"), description: 'Field position, e.g. "OU 25"' },
+  },
+};
+
+export default {
+  name: "get_play_by_play",
+  title: "Play-by-Play",
+  description:
+    "Get the drive chart and play-by-play for an ESPN event (game). Drives have start/end field position, result and time of possession; plays have down, distance, yard line, type, yards and description. Filter by quarter, team or scoring plays only.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      eventId: {
+        type: "string",
+        description: 'ESPN event ID for the game (e.g., "401752675").',
+        pattern: "^\\d+$",
+      },
+      sport: {
+        type: "string",
+        description: `Sport of the event (default: "football"). Drives are football only.`,
+        enum: SPORT_IDS,
+      },
+      quarter: {
+        type: "integer",
+        description: "Only this period (quarter, half, inning, ...; overtime continues the count: 5 = OT in football)",
+        minimum: 1,
+      },
+      team: {
+        type: "string",
+        description: 'Only drives and plays by this team (e.g., "oklahoma", "OU")',
+      },
+      scoringOnly: {
+        type: "boolean",
+        description: "Only scoring drives and plays (default: false)",
+      },
+    },
+    required: ["eventId"],
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      eventId: { type: "string" },
+      sport: { type: "string" },
+      filters: {
+        type: "object",
+        properties: {
+          quarter: nullable("integer"),
+          team: nullable("string"),
+          scoringOnly: { type: "boolean" },
+        },
+      },
+      teams: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            name: { type: "string" },
+            shortName: nullable("string"),
+            abbreviation: nullable("string"),
+            homeAway: { type: "string", enum: ["home", "away"] },
+          },
+        },
+      },
+      drives: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            id: nullable("string"),
+            teamId: nullable("string"),
+            team: nullable("string"),
+            description: nullable("string"),
+            start: SPOT_SCHEMA,
+            end: SPOT_SCHEMA,
+            result: nullable("string"),
+            scoring: { type: "boolean" },
+            plays: nullable("integer"),
+            yards: nullable("integer"),
+            timeOfPossession: nullable("string"),
+          },
+        },
+      },
+      plays: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            id: nullable("string"),
+            driveId: nullable("string"),
+            period: nullable("integer"),
+            clock: nullable("string"),
+            teamId: nullable("string"),
+            team: nullable("string"),
+            type: nullable("string"),
+            down: nullable("integer"),
+            distance: nullable("integer"),
+            yardLine: nullable("string"),
+            yards: nullable("integer"),
+            text: nullable("string"),
+            scoring: { type: "boolean" },
+            awayScore: nullable("integer"),
+            homeScore: nullable("integer"),
+          },
+        },
+      },
+    },
+    required: ["eventId", "sport", "teams", "drives", "plays"],
+  },
+  metadata: {
+    source: "ESPN",
+  },
+  handler: handleGetPlayByPlay,
+};
+
+function playLine(play, sport) {
+  let line = [periodName(sport, play.period), play.clock, play.team].filter(Boolean).join(" ");
+  if (play.down) {
+    line += ` ${ordinal(play.down)} & ${play.distance}${play.yardLine ? ` at ${play.yardLine}` : ""}`;
+  }
+  return `${line}: ${play.text || play.type || ""}`;
+}
+
+function driveLine(drive, sport) {
+  let line = `${periodName(sport, drive.start.period) || ""} ${drive.team || ""}: `;
+  line += drive.description || `${drive.plays ?? "?"} plays, ${drive.yards ?? "?"} yards, ${drive.timeOfPossession || "?"}`;
+  if (drive.result) line += ` - ${drive.result}`;
+  if (drive.start.text || drive.end.text) {
+    line += ` (${drive.start.text || "?"} to ${drive.end.text || "?"})`;
+  }
+  return line.trim();
+}
+
+async function handleGetPlayByPlay(args) {
+  const { eventId, sport = "football", quarter, team, scoringOnly } = args;
+  const result = await getPlayByPlay(eventId, { sport, quarter, team, scoringOnly });
+
+  if (result.error) {
+    return toolError(result.message);
+  }
+
+  const away = result.teams.find((t) => t.homeAway === "away");
+  const home = result.teams.find((t) => t.homeAway === "home");
+  let text = `${away?.name || "Away"} @ ${home?.name || "Home"} - play-by-play\n`;
+
+  if (result.drives.length > 0) {
+    text += `\nDrives (${result.drives.length}):\n`;
+    text += result.drives.map((drive) => driveLine(drive, result.sport)).join("\n");
+    text += "\n";
+  }
+
+  text += `\nPlays (${result.plays.length}):\n`;
+  text += result.plays.map((play) => playLine(play, result.sport)).join("\n") || "None";
+
+  return withStaleNotice(result, {
+    text,
+    structuredContent: {
+      eventId: result.eventId,
+      sport: result.sport,
+      teams: result.teams,
+      filters: result.filters,
+      drives: result.drives,
+      plays: result.plays,
+    },
+  });
+}
@@ -0,0 +1,82 @@
+/**
+ * GET_RANKINGS TOOL
+ * AP Top 25 / Coaches Poll (ESPN)
+ */
+
+import { getRankings } from "../espn-api.js";
+import { SPORT_IDS } from "../sports.js";
+import {
+  RANKED_TEAM_SCHEMA,
+  structuredRankedTeam,
+  seasonYear,
+  toInteger,
+  toolError,
+  withStaleNotice,
+} from "./structured.js";
+
+export default {
+  name: "get_rankings",
+  title: "Poll Rankings",
+  description:
+    "Get current AP Top 25 or Coaches Poll rankings for a given sport.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      sport: {
+        type: "string",
+        description: `Sport (default: "football"). "basketball" is men's basketball.`,
+        enum: SPORT_IDS,
+      },
+      poll: {
+        type: "string",
+        description:
+          'Poll type: "ap" (AP Top 25) or "coaches" (default: "ap")',
+        enum: ["ap", "coaches"],
+      },
+    },
+    required: [],
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      poll: { type: "string" },
+      week: { type: ["integer", "null"] },
+      season: { type: ["integer", "null"] },
+      teams: { type: "array", items: RANKED_TEAM_SCHEMA },
+    },
+    required: ["poll", "teams"],
+  },
+  metadata: {
+    source: "ESPN",
+  },
+  handler: handleGetRankings,
+};
+
+async function handleGetRankings(args) {
+  const { sport = "football", poll = "ap" } = args;
+  const result = await getRankings(sport, poll);
+
+  if (result.error) {
+    return toolError(result.message);
+  }
+
+  let text = `${result.poll} - Week ${result.week}\n\n`;
+
+  result.teams.slice(0, 25).forEach((team) => {
+    text += `${team.rank}. ${team.team} (${team.record})`;
+    if (team.points) {
+      text += ` - ${team.points} pts`;
+    }
+    text += `\n`;
+  });
+
+  return withStaleNotice(result, {
+    text,
+    structuredContent: {
+      poll: result.poll,
+      week: toInteger(result.week),
+      season: seasonYear(result.season),
+      teams: result.teams.map(structuredRankedTeam),
+    },
+  });
+}
@@ -0,0 +1,102 @@
+/**
+ * GET_SCHEDULE TOOL
+ * Upcoming games for a team (ESPN)
+ */
+
+import { getTeamSchedule } from "../espn-api.js";
+import { SPORT_IDS } from "../sports.js";
+import { isoDate, toolError, withStaleNotice } from "./structured.js";
+
+export default {
+  name: "get_schedule",
+  title: "Team Schedule",
+  description:
+    "Get upcoming schedule for a specific team, including game dates, opponents, locations, and broadcast info.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      team: {
+        type: "string",
+        description:
+          'Team name, nickname or abbreviation (e.g., "oklahoma", "Okla State", "Sooners"). Ambiguous names like "USC" return "did you mean" suggestions.',
+      },
+      sport: {
+        type: "string",
+        description: `Sport (default: "football"). "basketball" is men's basketball.`,
+        enum: SPORT_IDS,
+      },
+      limit: {
+        type: "integer",
+        description:
+          "Number of games to return (default: 5, max: 20)",
+        minimum: 1,
+        maximum: 20,
+      },
+    },
+    required: ["team"],
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      team: { type: "string" },
+      games: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            id: { type: ["string", "null"] },
+            date: { type: ["string", "null"], format: "date-time" },
+            opponent: { type: "string" },
+            location: { type: "string", enum: ["home", "away"] },
+            venue: { type: ["string", "null"] },
+            broadcast: { type: ["string", "null"] },
+          },
+          required: ["date", "opponent", "location"],
+        },
+      },
+    },
+    required: ["team", "games"],
+  },
+  metadata: {
+    source: "ESPN",
+  },
+  handler: handleGetSchedule,
+};
+
+async function handleGetSchedule(args) {
+  const { team, sport = "football", limit = 5 } = args;
+  const result = await getTeamSchedule(team, sport, limit);
+
+  if (result.error) {
+    return toolError(result.message, result);
+  }
+
+  let text = `Upcoming Schedule for ${result.team}:\n\n`;
+
+  result.games.forEach((game, i) => {
+    text += `${i + 1}. ${game.time}\n`;
+    text += `   vs ${game.opponent} (${game.location})\n`;
+    if (game.venue) {
+      text += `   ${game.venue}\n`;
+    }
+    if (game.broadcast) {
+      text += `   TV: ${game.broadcast}\n`;
+    }
+    text += `\n`;
+  });
+
+  return withStaleNotice(result, {
+    text,
+    structuredContent: {
+      team: result.team,
+      games: result.games.map((game) => ({
+        id: game.id ? String(game.id) : null,
+        date: isoDate(game.date),
+        opponent: game.opponent,
+        location: game.location.toLowerCase(),
+        venue: game.venue ?? null,
+        broadcast: game.broadcast ?? null,
+      })),
+    },
+  });
+}
@@ -0,0 +1,86 @@
+/**
+ * GET_SCORE TOOL
+ * Current or most recent game score for a team (ESPN)
+ */
+
+import { getCurrentGame } from "../espn-api.js";
+import { SPORT_IDS, gameClock } from "../sports.js";
+import { GAME_SCHEMA, structuredGame, toolError, withStaleNotice } from "./structured.js";
+
+export default {
+  name: "get_score",
+  title: "Team Score",
+  description:
+    "Get current or most recent game score for a specific team. Returns live score if game is in progress, or final score from most recent completed game.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      team: {
+        type: "string",
+        description:
+          'Team name, nickname or abbreviation (e.g., "oklahoma", "Okla State", "Sooners"). Ambiguous names like "USC" return "did you mean" suggestions.',
+      },
+      sport: {
+        type: "string",
+        description: `Sport (default: "football"). "basketball" is men's basketball.`,
+        enum: SPORT_IDS,
+      },
+    },
+    required: ["team"],
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      game: GAME_SCHEMA,
+    },
+    required: ["game"],
+  },
+  metadata: {
+    source: "ESPN",
+  },
+  handler: handleGetScore,
+};
+
+async function handleGetScore(args) {
+  const { team, sport = "football" } = args;
+  const result = await getCurrentGame(team, sport);
+
+  if (result.error) {
+    return toolError(result.message, result);
+  }
+
+  const game = result.game;
+  let text = `${game.name}\n`;
+  text += `${game.status}`;
+
+  if (game.isLive) {
+    text += ` - ${gameClock(sport, game)}\n`;
+  } else {
+    text += `\n`;
+  }
+
+  text += `\n${game.awayTeam.name} (${game.awayTeam.record}): ${
+    game.awayTeam.score?.displayValue ||
+    game.awayTeam.score?.value ||
+    game.awayTeam.score
+  }`;
+  text += `\n${game.homeTeam.name} (${game.homeTeam.record}): ${
+    game.homeTeam.score?.displayValue ||
+    game.homeTeam.score?.value ||
+    game.homeTeam.score
+  }`;
+
+  if (game.venue) {
+    text += `\n\nVenue: ${game.venue}`;
+  }
+  if (game.broadcast) {
+    text += `\nTV: ${game.broadcast}`;
+  }
+
+  return withStaleNotice(result, {
+    text,
+    structuredContent: {
+      game: structuredGame(game),
+    },
+  });
+}
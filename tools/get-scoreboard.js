@@ -0,0 +1,72 @@
+/**
+ * GET_SCOREBOARD TOOL
+ * All games for a date (ESPN)
+ */
+
+import { getScoreboard } from "../espn-api.js";
+import { SPORT_IDS, gameClock } from "../sports.js";
+import { GAME_SCHEMA, structuredGame, toolError, withStaleNotice } from "./structured.js";
+
+export default {
+  name: "get_scoreboard",
+  title: "Scoreboard",
+  description:
+    "Get scoreboard showing all games for a given date across all teams. Shows live scores and final scores.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      sport: {
+        type: "string",
+        description: `Sport (default: "football"). "basketball" is men's basketball.`,
+        enum: SPORT_IDS,
+      },
+      date: {
+        type: "string",
+        description:
+          "Date in YYYYMMDD format (default: today, ESPN time zone)",
+        pattern: "^\\d{8}$",
+      },
+    },
+    required: [],
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      date: { type: "string", description: "YYYYMMDD" },
+      games: { type: "array", items: GAME_SCHEMA },
+    },
+    required: ["date", "games"],
+  },
+  metadata: {
+    source: "ESPN",
+  },
+  handler: handleGetScoreboard,
+};
+
+async function handleGetScoreboard(args) {
+  const { sport = "football", date } = args;
+  const result = await getScoreboard(sport, date);
+
+  if (result.error) {
+    return toolError(result.message);
+  }
+
+  let text = `Scoreboard for ${result.date}:\n\n`;
+
+  result.games.forEach((game) => {
+    text += `${game.awayTeam.name} ${game.awayTeam.score} @ ${game.homeTeam.name} ${game.homeTeam.score}`;
+    text += ` - ${game.status}`;
+    if (game.isLive) {
+      text += ` (${gameClock(sport, game)})`;
+    }
+    text += `\n`;
+  });
+
+  return withStaleNotice(result, {
+    text,
+    structuredContent: {
+      date: result.date,
+      games: result.games.map(structuredGame),
+    },
+  });
+}
@@ -0,0 +1,148 @@
+/**
+ * GET_STANDINGS TOOL
+ * Conference standings with tiebreak-aware ordering (NCAA)
+ */
+
+import { getStandings } from "../ncaa-api.js";
+import { SPORT_IDS, ordinal } from "../sports.js";
+import { seasonYear, toolError, withStaleNotice } from "./structured.js";
+
+const nullableNumber = { type: ["number", "null"] };
+
+const STANDING_SCHEMA = {
+  type: "object",
+  properties: {
+    position: { type: "integer", description: "Tied teams share a position" },
+    tiebreaker: {
+      type: ["string", "null"],
+      description: "Rule that placed the team below the one above it, when conference win % was equal",
+    },
+    id: { type: "string", description: "ESPN team ID" },
+    team: { type: "string" },
+    abbreviation: { type: ["string", "null"] },
+    wins: nullableNumber,
+    losses: nullableNumber,
+    ties: nullableNumber,
+    conferenceWins: nullableNumber,
+    conferenceLosses: nullableNumber,
+    pointsFor: nullableNumber,
+    pointsAgainst: nullableNumber,
+    pointDifferential: nullableNumber,
+    streak: { ...nullableNumber, description: "Positive = winning streak, negative = losing streak" },
+  },
+  required: ["position", "id", "team"],
+};
+
+export default {
+  name: "get_standings",
+  title: "Conference Standings",
+  description:
+    "Get conference standings for any sport and division: overall and conference W/L, points for/against and streak, ordered by conference win %, then conference wins, overall win %, point differential and points scored. Pass a team to get just its conference and position.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      sport: {
+        type: "string",
+        description: `Sport (default: "football"). "basketball" is men's basketball.`,
+        enum: SPORT_IDS,
+      },
+      division: {
+        type: "string",
+        description:
+          'Football: "fbs", "fcs", "d2" or "d3" (default "fbs"). Other sports: "d1".',
+        enum: ["fbs", "fcs", "d1", "d2", "d3"],
+      },
+      conference: {
+        type: "string",
+        description: 'One conference (e.g., "SEC", "Big 12", "B1G"). Default: every conference in the division.',
+      },
+      team: {
+        type: "string",
+        description: 'Team name (e.g., "oklahoma"): returns its conference and its position',
+      },
+    },
+    required: [],
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      sport: { type: "string" },
+      division: { type: "string" },
+      season: { type: ["integer", "null"] },
+      conferences: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            name: { type: "string" },
+            abbreviation: { type: ["string", "null"] },
+            teams: { type: "array", items: STANDING_SCHEMA },
+          },
+          required: ["name", "teams"],
+        },
+      },
+      team: {
+        type: ["object", "null"],
+        description: "The requested team's row, with its conference",
+        properties: { conference: { type: "string" }, ...STANDING_SCHEMA.properties },
+      },
+    },
+    required: ["sport", "division", "conferences", "team"],
+  },
+  metadata: {
+    source: "NCAA",
+  },
+  handler: handleGetStandings,
+};
+
+function formatRecord(wins, losses, ties) {
+  if (wins === null || losses === null) return "-";
+  return ties ? `${wins}-${losses}-${ties}` : `${wins}-${losses}`;
+}
+
+function formatStreak(streak) {
+  if (!streak) return "";
+  return streak > 0 ? ` W${streak}` : ` L${-streak}`;
+}
+
+async function handleGetStandings(args) {
+  const { sport = "football", division, conference, team } = args;
+  const result = await getStandings(sport, { division, conference, team });
+
+  if (result.error) {
+    return toolError(result.message, result);
+  }
+
+  let text = "";
+
+  if (result.team) {
+    const row = result.team;
+    text += `${row.team} is ${ordinal(row.position)} in the ${row.conference} `;
+    text += `(${formatRecord(row.conferenceWins, row.conferenceLosses)} conference, `;
+    text += `${formatRecord(row.wins, row.losses, row.ties)} overall).\n\n`;
+  }
+
+  result.conferences.forEach((group) => {
+    text += `${group.name} (${result.division}${result.season ? ` ${result.season}` : ""})\n`;
+    group.teams.forEach((row) => {
+      text += `${row.position}. ${row.team} ${formatRecord(row.conferenceWins, row.conferenceLosses)}`;
+      text += ` (${formatRecord(row.wins, row.losses, row.ties)})${formatStreak(row.streak)}`;
+      if (row.tiebreaker) {
+        text += ` [tiebreak: ${row.tiebreaker}]`;
+      }
+      text += `\n`;
+    });
+    text += `\n`;
+  });
+
+  return withStaleNotice(result, {
+    text: text.trimEnd(),
+    structuredContent: {
+      sport: result.sport,
+      division: result.division,
+      season: seasonYear(result.season),
+      conferences: result.conferences,
+      team: result.team,
+    },
+  });
+}
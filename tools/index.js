@@ -0,0 +1,36 @@
+/**
+ * TOOLS
+ * Registers every tool module. To add a tool, create a module in this
+ * directory and add it to the list below — nothing else needs editing.
+ */
+
+import { registerTool } from "./registry.js";
+
+// ESPN TOOLS
+import getScore from "./get-score.js";
+import getSchedule from "./get-schedule.js";
+import getScoreboard from "./get-scoreboard.js";
+import getRankings from "./get-rankings.js";
+import getGamePlayerStats from "./get-game-player-stats.js";
+import getPlayByPlay from "./get-play-by-play.js";
+import getGameSummary from "./get-game-summary.js";
+
+// NCAA TOOLS (Multi-division)
+import getNCAAScoreboard from "./get-ncaa-scoreboard.js";
+import getNCAAankings from "./get-ncaa-rankings.js";
+import getStandings from "./get-standings.js";
+
+[
+  getScore,
+  getSchedule,
+  getScoreboard,
+  getRankings,
+  getGamePlayerStats,
+  getPlayByPlay,
+  getGameSummary,
+  getNCAAScoreboard,
+  getNCAAankings,
+  getStandings,
+].forEach(registerTool);
+
+export { getTool, listTools, describeTool, toolsBySource } from "./registry.js";
@@ -0,0 +1,89 @@
+/**
+ * TOOL REGISTRY
+ * Single source of truth for every MCP tool. Each tool module declares
+ * { name, title, description, inputSchema, outputSchema, annotations, handler, metadata }
+ * once; tools/list, tools/call, the / info endpoint and the startup banner all read from here.
+ */
+
+import { LATEST_PROTOCOL_VERSION, protocolFeatures } from "../protocol.js";
+
+// Every tool only reads from ESPN / NCAA; modules may override
+const DEFAULT_ANNOTATIONS = {
+  readOnlyHint: true,
+  openWorldHint: true,
+};
+
+const tools = new Map();
+
+/**
+ * Register a tool definition. Throws on missing fields or duplicate names
+ * so a bad tool module fails at startup instead of at call time.
+ */
+export function registerTool(tool) {
+  for (const field of ["name", "description", "inputSchema", "handler"]) {
+    if (!tool?.[field]) {
+      throw new Error(`Tool ${tool?.name || "(unnamed)"} is missing "${field}"`);
+    }
+  }
+
+  if (tools.has(tool.name)) {
+    throw new Error(`Tool "${tool.name}" is already registered`);
+  }
+
+  if (tool.outputSchema && tool.outputSchema.type !== "object") {
+    throw new Error(`Tool "${tool.name}" outputSchema must be an object schema`);
+  }
+
+  tools.set(tool.name, {
+    ...tool,
+    annotations: { ...DEFAULT_ANNOTATIONS, ...tool.annotations },
+    metadata: tool.metadata || {},
+  });
+}
+
+export function getTool(name) {
+  return tools.get(name) || null;
+}
+
+export function listTools() {
+  return [...tools.values()];
+}
+
+/**
+ * Public MCP shape for tools/list. Fields the negotiated protocol version
+ * doesn't know about are left out.
+ */
+export function describeTool(tool, protocolVersion = LATEST_PROTOCOL_VERSION) {
+  const features = protocolFeatures(protocolVersion);
+  const description = {
+    name: tool.name,
+    description: tool.description,
+    inputSchema: tool.inputSchema,
+  };
+
+  if (features.toolTitles && tool.title) {
+    description.title = tool.title;
+  }
+
+  if (features.toolAnnotations) {
+    description.annotations = { title: tool.title, ...tool.annotations };
+  }
+
+  if (features.structuredOutput && tool.outputSchema) {
+    description.outputSchema = tool.outputSchema;
+  }
+
+  return description;
+}
+
+/**
+ * Tool names grouped by metadata.source, e.g. { ESPN: [...], NCAA: [...] }
+ */
+export function toolsBySource() {
+  const groups = {};
+  for (const tool of tools.values()) {
+    const source = tool.metadata.source || "Other";
+    (groups[source] ||= []).push(tool.name);
+  }
+  return groups;
+}
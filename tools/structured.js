@@ -0,0 +1,181 @@
+/**
+ * STRUCTURED TOOL OUTPUT
+ * Shared outputSchema fragments and normalizers so every tool returns
+ * typed structuredContent: scores as numbers, statuses as enums, ISO dates.
+ */
+
+import { parseScore } from "../game-state.js";
+
+export const GAME_STATUSES = [
+  "scheduled",
+  "in_progress",
+  "final",
+  "postponed",
+  "canceled",
+  "unknown",
+];
+
+// ── SCHEMA FRAGMENTS ──────────────────────────────────────────────────────────
+
+/**
+ * { type: [type, "null"] } for optional fields
+ */
+export const nullable = (type) => ({ type: [type, "null"] });
+
+export const TEAM_SCORE_SCHEMA = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    abbreviation: nullable("string"),
+    score: { ...nullable("number"), description: "Null before kickoff" },
+    record: nullable("string"),
+  },
+  required: ["name", "score"],
+};
+
+export const GAME_SCHEMA = {
+  type: "object",
+  properties: {
+    id: nullable("string"),
+    name: { type: "string" },
+    date: { ...nullable("string"), format: "date-time" },
+    status: { type: "string", enum: GAME_STATUSES },
+    statusDetail: nullable("string"),
+    period: nullable("integer"),
+    clock: nullable("string"),
+    isLive: { type: "boolean" },
+    homeTeam: TEAM_SCORE_SCHEMA,
+    awayTeam: TEAM_SCORE_SCHEMA,
+    venue: nullable("string"),
+    broadcast: nullable("string"),
+  },
+  required: ["name", "status", "isLive", "homeTeam", "awayTeam"],
+};
+
+export const RANKED_TEAM_SCHEMA = {
+  type: "object",
+  properties: {
+    rank: { type: "integer" },
+    previousRank: nullable("integer"),
+    team: { type: "string" },
+    abbreviation: nullable("string"),
+    record: nullable("string"),
+    points: nullable("number"),
+    firstPlaceVotes: nullable("integer"),
+  },
+  required: ["rank", "team"],
+};
+
+// ── NORMALIZERS ───────────────────────────────────────────────────────────────
+
+/**
+ * ESPN status.type.state (pre/in/post) + description -> status enum
+ */
+export function gameStatus(state, description = "") {
+  const detail = description.toLowerCase();
+  if (detail.includes("postponed")) return "postponed";
+  if (detail.includes("canceled") || detail.includes("cancelled")) return "canceled";
+
+  switch (state) {
+    case "pre":
+      return "scheduled";
+    case "in":
+      return "in_progress";
+    case "post":
+      return "final";
+    default:
+      return "unknown";
+  }
+}
+
+export function isoDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? null : date.toISOString();
+}
+
+export function toNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return isFinite(number) ? number : null;
+}
+
+export function toInteger(value) {
+  const number = toNumber(value);
+  return number === null ? null : Math.trunc(number);
+}
+
+function teamScore(team, state) {
+  return {
+    name: team.name,
+    abbreviation: team.abbreviation ?? null,
+    score: state === "pre" ? null : parseScore(team.score),
+    record: team.record ?? null,
+  };
+}
+
+/**
+ * getCurrentGame / getScoreboard / getNCAAScoreboard game -> GAME_SCHEMA
+ */
+export function structuredGame(game) {
+  return {
+    id: game.id ? String(game.id) : null,
+    name: game.name,
+    date: isoDate(game.date),
+    status: gameStatus(game.state, game.status),
+    statusDetail: game.status ?? null,
+    period: toInteger(game.period),
+    clock: game.clock ?? null,
+    isLive: Boolean(game.isLive),
+    homeTeam: teamScore(game.homeTeam, game.state),
+    awayTeam: teamScore(game.awayTeam, game.state),
+    venue: game.venue ?? null,
+    broadcast: game.broadcast ?? null,
+  };
+}
+
+export function structuredRankedTeam(team) {
+  return {
+    rank: toInteger(team.rank),
+    previousRank: toInteger(team.previousRank),
+    team: team.team,
+    abbreviation: team.abbreviation ?? null,
+    record: team.record ?? null,
+    points: toNumber(team.points),
+    firstPlaceVotes: toInteger(team.firstPlaceVotes),
+  };
+}
+
+/**
+ * ESPN sends season as a number or { year, type }
+ */
+export function seasonYear(season) {
+  return toInteger(season?.year ?? season);
+}
+
+/**
+ * Tool-level error result (MCP isError) — no structuredContent. Team
+ * "did you mean" suggestions (team-directory.js lookupTeam) go in _meta.
+ */
+export function toolError(message, { suggestions } = {}) {
+  const output = { isError: true, text: message };
+  if (suggestions?.length > 0) {
+    output._meta = { suggestions };
+  }
+  return output;
+}
+
+/**
+ * The API modules flag last-good data served during an upstream outage
+ * with `stale` (cache.js wrap). Say so in the text and in _meta.
+ */
+export function withStaleNotice(result, output) {
+  if (!result?.stale) return output;
+
+  const age = Math.max(1, Math.round((Date.now() - Date.parse(result.stale.cachedAt)) / 60000));
+  return {
+    ...output,
+    text: `${output.text}\n\nNote: live data is unavailable right now; showing cached data from ${age} min ago.`,
+    _meta: { ...output._meta, stale: result.stale },
+  };
+}
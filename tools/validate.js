@@ -0,0 +1,190 @@
+/**
+ * TOOL ARGUMENT VALIDATION
+ * Checks tools/call arguments against a tool's inputSchema (the JSON Schema
+ * subset our tools use) and coerces the obvious cases:
+ *   - numeric strings -> number/integer ("10" -> 10)
+ *   - "true"/"false" -> boolean
+ *   - numbers -> string where a string is expected (eventId: 401752675)
+ *   - enums match case-insensitively and return the canonical value
+ *
+ * Supported keywords: type, properties, required, additionalProperties,
+ * items, enum, minimum, maximum, minLength, maxLength, pattern, default.
+ */
+
+/**
+ * Validate and coerce a value against a schema.
+ *
+ * @param {object} schema - JSON Schema (tool inputSchema)
+ * @param {*} value - raw arguments from params.arguments
+ * @returns {{ valid: boolean, value: *, errors: Array<{path: string, message: string}> }}
+ */
+export function validateArguments(schema, value) {
+  const errors = [];
+  const coerced = validateNode(schema, value, "arguments", errors);
+  return { valid: errors.length === 0, value: coerced, errors };
+}
+
+function validateNode(schema, value, path, errors) {
+  if (!schema) return value;
+
+  let current = value;
+
+  if (schema.type) {
+    current = coerceType(schema.type, current);
+    if (!matchesType(schema.type, current)) {
+      errors.push({
+        path,
+        message: `expected ${schema.type}, got ${describeType(value)}`,
+      });
+      return value;
+    }
+  }
+
+  if (schema.enum) {
+    const match = matchEnum(schema.enum, current);
+    if (match === undefined) {
+      errors.push({
+        path,
+        message: `must be one of: ${schema.enum.join(", ")} (got ${JSON.stringify(value)})`,
+      });
+      return value;
+    }
+    current = match;
+  }
+
+  if (typeof current === "number") {
+    if (schema.minimum !== undefined && current < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum} (got ${current})` });
+    }
+    if (schema.maximum !== undefined && current > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum} (got ${current})` });
+    }
+  }
+
+  if (typeof current === "string") {
+    if (schema.minLength !== undefined && current.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && current.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(current)) {
+      errors.push({ path, message: `must match pattern ${schema.pattern} (got ${JSON.stringify(current)})` });
+    }
+  }
+
+  if (schema.type === "object" && isPlainObject(current)) {
+    return validateObject(schema, current, path, errors);
+  }
+
+  if (schema.type === "array" && Array.isArray(current) && schema.items) {
+    return current.map((item, i) => validateNode(schema.items, item, `${path}[${i}]`, errors));
+  }
+
+  return current;
+}
+
+function validateObject(schema, value, path, errors) {
+  const properties = schema.properties || {};
+  const result = {};
+
+  for (const name of schema.required || []) {
+    if (value[name] === undefined || value[name] === null || value[name] === "") {
+      errors.push({ path: `${path}.${name}`, message: "is required" });
+    }
+  }
+
+  for (const [name, raw] of Object.entries(value)) {
+    const propertySchema = properties[name];
+
+    if (!propertySchema) {
+      if (schema.additionalProperties === false) {
+        errors.push({
+          path: `${path}.${name}`,
+          message: `is not a recognized argument (allowed: ${Object.keys(properties).join(", ")})`,
+        });
+      } else {
+        result[name] = raw;
+      }
+      continue;
+    }
+
+    // Treat explicit null like an omitted optional argument
+    if (raw === null || raw === undefined) continue;
+
+    result[name] = validateNode(propertySchema, raw, `${path}.${name}`, errors);
+  }
+
+  for (const [name, propertySchema] of Object.entries(properties)) {
+    if (result[name] === undefined && propertySchema.default !== undefined) {
+      result[name] = propertySchema.default;
+    }
+  }
+
+  return result;
+}
+
+// ── TYPE HELPERS ──────────────────────────────────────────────────────────────
+
+function coerceType(type, value) {
+  if ((type === "number" || type === "integer") && typeof value === "string") {
+    const trimmed = value.trim();
+    if (trimmed !== "" && !isNaN(Number(trimmed))) {
+      return Number(trimmed);
+    }
+  }
+
+  if (type === "boolean" && typeof value === "string") {
+    const lower = value.trim().toLowerCase();
+    if (lower === "true") return true;
+    if (lower === "false") return false;
+  }
+
+  if (type === "string" && typeof value === "number" && isFinite(value)) {
+    return String(value);
+  }
+
+  return value;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "number":
+      return typeof value === "number" && isFinite(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "object":
+      return isPlainObject(value);
+    case "array":
+      return Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+function matchEnum(allowed, value) {
+  if (allowed.includes(value)) return value;
+
+  if (typeof value === "string") {
+    const lower = value.trim().toLowerCase();
+    return allowed.find((option) => typeof option === "string" && option.toLowerCase() === lower);
+  }
+
+  return undefined;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function describeType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return `integer ${value}`;
+  if (typeof value === "string") return `string ${JSON.stringify(value)}`;
+  return typeof value;
+}
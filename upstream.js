@@ -0,0 +1,313 @@
+/**
+ * UPSTREAM HTTP CLIENT
+ * One JSON GET client for every data source (ESPN, NCAA, CFBD)
+ *
+ *   - per-request timeout (covers headers and body)
+ *   - retries with exponential backoff + full jitter on 429, 5xx,
+ *     timeouts and network errors (Retry-After honoured on 429/503)
+ *   - per-host circuit breaker: after N consecutive failures the host is
+ *     skipped for a cooldown, then one trial request decides (background
+ *     jobs can pass their own `breaker` key to stay out of the host's)
+ *   - request coalescing: concurrent GETs for the same URL share one
+ *     upstream request (and its retries) instead of each making their own
+ *
+ * Tuning (env):
+ *   UPSTREAM_TIMEOUT_MS            per attempt            (default 8000)
+ *   UPSTREAM_RETRIES               retries after the 1st  (default 2)
+ *   UPSTREAM_BACKOFF_MS            first backoff step     (default 300)
+ *   UPSTREAM_MAX_BACKOFF_MS        backoff / Retry-After cap (default 5000)
+ *   UPSTREAM_BREAKER_THRESHOLD     failures to open       (default 5)
+ *   UPSTREAM_BREAKER_COOLDOWN_MS   open duration          (default 30000)
+ */
+
+import fetch from "node-fetch";
+
+const DEFAULTS = {
+  timeout: Number(process.env.UPSTREAM_TIMEOUT_MS) || 8000,
+  retries: Number(process.env.UPSTREAM_RETRIES ?? 2),
+  backoff: Number(process.env.UPSTREAM_BACKOFF_MS) || 300,
+  maxBackoff: Number(process.env.UPSTREAM_MAX_BACKOFF_MS) || 5000,
+};
+
+const BREAKER_THRESHOLD = Number(process.env.UPSTREAM_BREAKER_THRESHOLD) || 5;
+const BREAKER_COOLDOWN = Number(process.env.UPSTREAM_BREAKER_COOLDOWN_MS) || 30 * 1000;
+
+const USER_AGENT = "Botosphere-MCP-Server/1.0";
+
+// ── ERRORS ────────────────────────────────────────────────────────────────────
+
+/**
+ * Base class: every upstream failure carries the source label, host and URL.
+ * `retryable` marks failures worth another attempt.
+ */
+export class UpstreamError extends Error {
+  constructor(message, { label, url, retryable = false } = {}) {
+    super(message);
+    this.name = "UpstreamError";
+    this.label = label;
+    this.url = url;
+    this.host = url ? new URL(url).host : null;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Non-2xx response
+ */
+export class UpstreamHttpError extends UpstreamError {
+  constructor(label, url, response, retryAfterMs = null) {
+    super(`${label} API error: ${response.status} ${response.statusText}`, {
+      label,
+      url,
+      retryable: response.status === 429 || response.status >= 500,
+    });
+    this.name = "UpstreamHttpError";
+    this.status = response.status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class UpstreamTimeoutError extends UpstreamError {
+  constructor(label, url, timeout) {
+    super(`${label} API timed out after ${timeout}ms`, { label, url, retryable: true });
+    this.name = "UpstreamTimeoutError";
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * DNS, connection reset, invalid JSON, ...
+ */
+export class UpstreamNetworkError extends UpstreamError {
+  constructor(label, url, cause) {
+    super(`${label} API request failed: ${cause.message}`, { label, url, retryable: true });
+    this.name = "UpstreamNetworkError";
+    this.cause = cause;
+  }
+}
+
+/**
+ * Host is failing; request not attempted
+ */
+export class CircuitOpenError extends UpstreamError {
+  constructor(label, url, retryAt) {
+    const seconds = Math.max(1, Math.ceil((retryAt - Date.now()) / 1000));
+    super(`${label} API unavailable (too many recent failures, retry in ${seconds}s)`, {
+      label,
+      url,
+    });
+    this.name = "CircuitOpenError";
+    this.retryAt = retryAt;
+  }
+}
+
+// ── CIRCUIT BREAKERS ──────────────────────────────────────────────────────────
+
+const breakers = new Map(); // host or breaker key -> { state, failures, openedUntil, trialInFlight, coalesced }
+
+function breakerFor(host) {
+  if (!breakers.has(host)) {
+    breakers.set(host, {
+      state: "closed",
+      failures: 0,
+      openedUntil: 0,
+      trialInFlight: false,
+      coalesced: 0,
+    });
+  }
+  return breakers.get(host);
+}
+
+/**
+ * May a request go out? Moves open -> half-open once the cooldown passes
+ * and lets exactly one trial through.
+ */
+function allowRequest(breaker) {
+  if (breaker.state === "closed") return true;
+
+  if (breaker.state === "open" && Date.now() >= breaker.openedUntil) {
+    breaker.state = "half-open";
+  }
+
+  if (breaker.state === "half-open" && !breaker.trialInFlight) {
+    breaker.trialInFlight = true;
+    return true;
+  }
+  return false;
+}
+
+function recordSuccess(host, breaker) {
+  if (breaker.state !== "closed") {
+    console.log(`[Upstream] Circuit closed for ${host}`);
+  }
+  breaker.state = "closed";
+  breaker.failures = 0;
+  breaker.trialInFlight = false;
+}
+
+function recordFailure(host, breaker) {
+  breaker.failures++;
+  breaker.trialInFlight = false;
+
+  if (breaker.state === "half-open" || breaker.failures >= BREAKER_THRESHOLD) {
+    breaker.state = "open";
+    breaker.openedUntil = Date.now() + BREAKER_COOLDOWN;
+    console.error(
+      `[Upstream] Circuit open for ${host} after ${breaker.failures} failures (cooldown ${BREAKER_COOLDOWN / 1000}s)`
+    );
+  }
+}
+
+// ── REQUESTS ──────────────────────────────────────────────────────────────────
+
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffDelay(attempt, error, { backoff, maxBackoff }) {
+  if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+    return Math.min(error.retryAfterMs, maxBackoff);
+  }
+  const ceiling = Math.min(maxBackoff, backoff * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function attempt(url, { label, headers, timeout }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, {
+      headers: { "User-Agent": USER_AGENT, Accept: "application/json", ...headers },
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      response.body?.resume?.();
+      throw new UpstreamHttpError(
+        label,
+        url,
+        response,
+        parseRetryAfter(response.headers.get("retry-after"))
+      );
+    }
+
+    return await response.json();
+  } catch (error) {
+    if (error instanceof UpstreamError) throw error;
+    if (error.name === "AbortError") throw new UpstreamTimeoutError(label, url, timeout);
+    throw new UpstreamNetworkError(label, url, error);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+const inFlight = new Map(); // href + headers -> Promise
+
+/**
+ * GET a URL and parse JSON.
+ *
+ * Callers asking for the same URL (and headers) while a request is in flight
+ * get the same promise — and the same parsed object, so treat it as read-only.
+ *
+ * @param {string} url
+ * @param {object} [options]
+ * @param {string} [options.label="Upstream"] - source name used in errors and logs
+ * @param {object} [options.headers]
+ * @param {object} [options.query] - appended as a query string (undefined values skipped)
+ * @param {number} [options.timeout] - ms per attempt
+ * @param {number} [options.retries] - extra attempts on retryable failures
+ * @param {string} [options.breaker] - circuit breaker key (default: the URL's host)
+ * @returns {Promise<any>} parsed JSON
+ * @throws {UpstreamError}
+ */
+export async function fetchJson(url, options = {}) {
+  const { headers = {}, query, breaker = null } = options;
+
+  const target = new URL(url);
+  for (const [name, value] of Object.entries(query || {})) {
+    if (value !== undefined && value !== null) {
+      target.searchParams.set(name, value);
+    }
+  }
+
+  const requestKey = `${target} ${JSON.stringify(headers)} ${breaker || ""}`;
+  if (inFlight.has(requestKey)) {
+    breakerFor(breaker || target.host).coalesced++;
+    return inFlight.get(requestKey);
+  }
+
+  const request = fetchWithRetries(target, options).finally(() => {
+    inFlight.delete(requestKey);
+  });
+  inFlight.set(requestKey, request);
+  return request;
+}
+
+async function fetchWithRetries(target, options) {
+  const { label = "Upstream", headers = {} } = options;
+  const config = { ...DEFAULTS, ...pick(options, ["timeout", "retries", "backoff", "maxBackoff"]) };
+  const href = target.toString();
+  const breakerKey = options.breaker || target.host;
+  const breaker = breakerFor(breakerKey);
+
+  for (let attemptNumber = 0; ; attemptNumber++) {
+    if (!allowRequest(breaker)) {
+      throw new CircuitOpenError(label, href, breaker.openedUntil);
+    }
+
+    try {
+      const data = await attempt(href, { label, headers, timeout: config.timeout });
+      recordSuccess(breakerKey, breaker);
+      return data;
+    } catch (error) {
+      if (error.retryable) {
+        recordFailure(breakerKey, breaker);
+      } else {
+        // The host answered; a 4xx says nothing about its health
+        recordSuccess(breakerKey, breaker);
+      }
+
+      if (!error.retryable || attemptNumber >= config.retries || breaker.state === "open") {
+        throw error;
+      }
+
+      const delay = backoffDelay(attemptNumber, error, config);
+      console.warn(
+        `[Upstream] ${error.message} — retry ${attemptNumber + 1}/${config.retries} in ${delay}ms`
+      );
+      await sleep(delay);
+    }
+  }
+}
+
+function pick(object, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (object[field] !== undefined) picked[field] = object[field];
+  }
+  return picked;
+}
+
+/**
+ * Breaker state and coalesced request count per host, for /health
+ */
+export function getUpstreamStats() {
+  return Object.fromEntries(
+    [...breakers].map(([host, breaker]) => [
+      host,
+      {
+        state: breaker.state,
+        failures: breaker.failures,
+        openUntil: breaker.state === "open" ? new Date(breaker.openedUntil).toISOString() : null,
+        coalesced: breaker.coalesced,
+      },
+    ])
+  );
+}